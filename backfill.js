@@ -0,0 +1,84 @@
+// Backfill past operational dates through the running service and follow its progress.
+//
+//   node backfill.js FROM [TO] [--subdepts 85,86] [--site dc7] [--mode report|enforce]
+//   node backfill.js status      the latest jobs
+//   node backfill.js cancel      stop the running job
+//
+// Dates are YYYY-MM-DD; TO defaults to FROM. Mode defaults to report (nothing
+// is voided). Needs an operator's API token in PALLET_GUARD_TOKEN (see
+// manage-users.js); the service is reached at PALLET_GUARD_URL (default
+// http://localhost:$PORT).
+require('dotenv').config();
+
+const BASE_URL = (process.env.PALLET_GUARD_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const POLL_MS = 2000;
+
+function option(args, name, fallback) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+async function call(method, endpoint, body) {
+  if (!process.env.PALLET_GUARD_TOKEN) throw new Error('Set PALLET_GUARD_TOKEN to an operator API token (node manage-users.js token create USERNAME)');
+  const res = await fetch(`${BASE_URL}/api/${endpoint}`, {
+    method,
+    headers: { Authorization: `Bearer ${process.env.PALLET_GUARD_TOKEN}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await res.json();
+  if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+  return result;
+}
+
+function describe(job) {
+  const actions = Object.entries(job.actions).map(([type, n]) => `${n} ${type}`).join(', ') || 'no actions';
+  const at = job.current ? ` · ${job.current.date} ${job.current.site ? `${job.current.site}/` : ''}SD${job.current.subDept}` : '';
+  return `${job.status.padEnd(11)} ${job.done}/${job.total} subdept-days${at} · ${job.pos} POs · ${actions}${job.errors.length ? ` · ${job.errors.length} failed` : ''}`;
+}
+
+async function main(args) {
+  if (args[0] === 'status') {
+    const { jobs } = await call('GET', 'backfill');
+    if (!jobs.length) return console.log('(no backfills)');
+    for (const job of jobs.slice(0, 10)) {
+      console.log(`${job.id.slice(0, 8)} ${job.from}..${job.to} ${job.mode.padEnd(7)} ${describe(job)}`);
+    }
+    return;
+  }
+
+  if (args[0] === 'cancel') {
+    const { id } = await call('POST', 'backfill/cancel');
+    console.log(`Cancelling ${id} after the current subdept`);
+    return;
+  }
+
+  const [from, to] = args.filter((a, i) => !a.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+  if (!from) throw new Error('Usage: node backfill.js FROM [TO] [--subdepts 85,86] [--site ID] [--mode report|enforce] | status | cancel');
+  const { job } = await call('POST', 'backfill', {
+    from,
+    to,
+    subdepts: option(args, 'subdepts'),
+    site: option(args, 'site'),
+    mode: option(args, 'mode', 'report')
+  });
+  console.log(`Backfill ${job.id} started: ${job.from} to ${job.to} (${job.mode}), ${job.total} subdept-days`);
+
+  let last = '';
+  for (;;) {
+    const current = await call('GET', `backfill/${job.id}`);
+    const line = describe(current);
+    if (line !== last) console.log(line);
+    last = line;
+    if (current.status !== 'running') {
+      for (const err of current.errors) console.log(`  failed ${err.date} ${err.site ? `${err.site}/` : ''}SD${err.subDept}: ${err.error}`);
+      if (current.status !== 'done') process.exitCode = 1;
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
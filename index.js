@@ -13,10 +13,45 @@ const express = require('express');
 const auth = require('./src/auth');
 const scanner = require('./src/scanner');
 const notifier = require('./src/notifier');
+const sites = require('./src/sites');
+const dashboard = require('./src/dashboard');
+const audit = require('./src/audit');
+const exporter = require('./src/export');
+const exemptions = require('./src/exemptions');
+const approvals = require('./src/approvals');
+const reversals = require('./src/reversals');
+const daystats = require('./src/daystats');
+const digest = require('./src/digest');
+const analytics = require('./src/analytics');
+const backfill = require('./src/backfill');
+const outbox = require('./src/outbox');
+const outages = require('./src/outages');
+const secrets = require('./src/secrets');
+const users = require('./src/users');
+const access = require('./src/access');
+const controllog = require('./src/controllog');
+const live = require('./src/live');
+const logger = require('./src/logger');
+const metrics = require('./src/metrics');
+const api = require('./src/api');
+
+const PORT = process.env.PORT || 3000;
+// Base URL for links in emails (approval links) — must be reachable by recipients
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+// End-of-shift digest at the 2:00 AM operational day boundary
+const DIGEST_ENABLED = process.env.DIGEST_ENABLED !== 'false';
+// Renew tokens this many minutes before their JWT expiry
+const TOKEN_REFRESH_MINUTES = parseInt(process.env.TOKEN_REFRESH_MINUTES, 10) || 5;
+const SCAN_INTERVAL_MS = 10000;
+// /readyz fails once this many scan intervals pass without a successful scan
+const READY_MAX_MISSED_SCANS = parseInt(process.env.READY_MAX_MISSED_SCANS, 10) || 3;
+
+// Site configuration (config/sites.json, or the default 85 & 86 site)
+const configuredSites = sites.loadSites();
+const credentialSets = sites.credentialSets(configuredSites);
 
 // Service state
-let apexToken = null;
-let loadEntryToken = null;
+const sessions = new Map(); // credentialsId → { apexToken, apexExpiresAt, apexAcquiredAt, loadEntryToken, ... }
 let scanInterval = null;
 let isScanning = false;
 let lastScanResult = null;
@@ -26,35 +61,125 @@ let scanStats = {
   errors: 0,
   lastError: null,
   startTime: new Date(),
-  lastScanTime: null
+  lastScanTime: null,
+  lastSuccessTime: null
 };
 
-// Logging
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+// Prometheus metrics (GET /metrics) — API latency, subdept scans, actions and
+// notification deliveries are measured in api.js, scanner.js, audit.js and outbox.js
+const scanCycles = metrics.counter('pallet_guard_scan_cycles_total', 'Scan cycles (every site and subdept) by result: success | reauth | error');
+const scanCycleDuration = metrics.histogram('pallet_guard_scan_cycle_duration_seconds', 'Time for one full scan cycle', [1, 2.5, 5, 10, 30, 60, 120]);
+const tokenRefreshes = metrics.counter('pallet_guard_token_refreshes_total', 'Token acquisitions by credentials, token (apex | loadEntry) and result');
+const recoveryAttempts = metrics.counter('pallet_guard_recovery_attempts_total', 'Auto-recovery re-authentication attempts by result');
+
+// Logging — the dashboard's live log tail gets the same lines in text form
+logger.addSink(record => live.logLine(logger.formatText(record)));
+
+function isAuthenticated() {
+  for (const id of credentialSets.keys()) {
+    const session = sessions.get(id);
+    if (!session || !session.apexToken || !session.loadEntryToken) return false;
+  }
+  return true;
+}
+
+function credentialsLabel(id) {
+  return credentialSets.size > 1 ? ` [${id}]` : '';
+}
+
+// All recipients across sites, for service-wide alerts
+function allRecipients() {
+  return [...new Set(configuredSites.flatMap(site => site.notify))];
+}
+
+// Open an outage and queue the down alert — only the first failure alerts;
+// reminders and escalation follow from watchOutage()
+function reportDown(reason, screenshotPath) {
+  const { outage, isNew } = outages.begin(reason, screenshotPath);
+  if (isNew) outbox.enqueueOutage('down', outage, outages.recipients(allRecipients()));
+}
+
+// Token kinds held per credential set
+const TOKEN_LABELS = { apex: 'Apex', loadEntry: 'Load Entry' };
+
+function setToken(session, kind, token) {
+  session[`${kind}Token`] = token;
+  session[`${kind}ExpiresAt`] = auth.tokenExpiry(token);
+  session[`${kind}AcquiredAt`] = new Date().toISOString();
+}
+
+// Get a new token of one kind, passing the current one so it isn't handed back
+async function refreshToken(credentialsId, kind) {
+  const creds = credentialSets.get(credentialsId);
+  const session = sessions.get(credentialsId);
+  let token;
+  try {
+    token = kind === 'apex'
+      ? await auth.getApexToken(creds, session.apexToken)
+      : await auth.getLoadEntryToken(creds, session.loadEntryToken);
+  } catch (err) {
+    tokenRefreshes.inc({ credentials: credentialsId, token: kind, result: 'failure' });
+    throw err;
+  }
+  tokenRefreshes.inc({ credentials: credentialsId, token: kind, result: 'success' });
+  setToken(session, kind, token);
+  return token;
+}
+
+function describeExpiry(expiresAt) {
+  return expiresAt ? `expires ${expiresAt.toISOString()}` : 'no expiry claim';
+}
+
+// Alert about an MFA challenge the login couldn't answer (see auth.js)
+function reportMfa(error, credentialsId) {
+  if (!error.mfaChallenge) return;
+  const creds = credentialSets.get(credentialsId);
+  const label = auth.MFA_CHALLENGES[error.mfaChallenge].label;
+  logger.warn(`🔐 Login blocked by MFA${credentialsLabel(credentialsId)}: ${label}`, { credentials: credentialsId, mfa: error.mfaChallenge });
+  outbox.enqueueMfa({
+    challenge: error.mfaChallenge,
+    label,
+    account: creds ? creds.loadEntryEmail : null,
+    credentialsId,
+    screenshotPath: error.screenshotPath || null,
+    at: new Date().toISOString()
+  }, allRecipients());
 }
 
 // Authentication flow
 async function authenticate() {
+  let credentialsId = null;
   try {
-    log('🔐 Starting authentication...');
-    
-    log('📡 Authenticating with Apex (form POST to apex.capstonelogistics.com)...');
-    apexToken = await auth.getApexToken();
-    log(`✅ Apex Token acquired (${apexToken.substring(0, 20)}...)`);
-    
-    log('🌐 Authenticating with Load Entry (Microsoft B2C SSO flow)...');
-    loadEntryToken = await auth.getLoadEntryToken();
-    log(`✅ Load Entry B2C token acquired (${loadEntryToken.substring(0, 20)}...)`);
-    
-    log('🎯 Authentication complete - ready to scan');
+    logger.info('🔐 Starting authentication...');
+
+    for (const id of credentialSets.keys()) {
+      credentialsId = id;
+      const label = credentialsLabel(id);
+      if (!sessions.has(id)) {
+        sessions.set(id, { apexToken: null, apexExpiresAt: null, loadEntryToken: null, loadEntryExpiresAt: null });
+      }
+      const session = sessions.get(id);
+
+      logger.info(`📡 Authenticating with Apex${label} (form POST to apex.capstonelogistics.com)...`);
+      await refreshToken(id, 'apex');
+      logger.info(`✅ Apex Token acquired${label} (${describeExpiry(session.apexExpiresAt)})`, { credentials: id });
+
+      logger.info(`🌐 Authenticating with Load Entry${label} (Microsoft B2C SSO flow)...`);
+      await refreshToken(id, 'loadEntry');
+      logger.info(`✅ Load Entry B2C token acquired${label} (${describeExpiry(session.loadEntryExpiresAt)})`, { credentials: id });
+    }
+
+    logger.info('🎯 Authentication complete - ready to scan');
     return true;
   } catch (error) {
-    log(`❌ Authentication failed: ${error.message}`);
+    logger.error(`❌ Authentication failed: ${error.message}`, { credentials: credentialsId });
+    daystats.recordAuthFailure(error.message, credentialsId);
+    reportMfa(error, credentialsId);
     scanStats.lastError = error.message;
     scanStats.lastAuthScreenshot = error.screenshotPath || null;
     return false;
+  } finally {
+    publishStatus();
   }
 }
 
@@ -69,25 +194,25 @@ async function startAutoRecovery(reason) {
   async function tryRecover() {
     attempt++;
     const delaySec = RECOVERY_DELAYS[Math.min(attempt - 1, RECOVERY_DELAYS.length - 1)];
-    log(`🔄 Auto-recovery attempt ${attempt} in ${delaySec}s (reason: ${reason})`);
+    logger.info(`🔄 Auto-recovery attempt ${attempt} in ${delaySec}s (reason: ${reason})`);
 
     recoveryTimer = setTimeout(async () => {
       recoveryTimer = null;
-      log(`🔄 Auto-recovery attempt ${attempt} — re-authenticating...`);
+      logger.info(`🔄 Auto-recovery attempt ${attempt} — re-authenticating...`);
 
-      // Close stale browser context before retrying
+      // Relaunch the browser in case it died — the saved session is restored
       try { await auth.closeBrowser(); } catch (e) { /* ignore */ }
 
       const success = await authenticate();
+      outages.recordAttempt(attempt, success, success ? null : scanStats.lastError);
+      recoveryAttempts.inc({ result: success ? 'success' : 'failure' });
       if (success) {
-        log('✅ Auto-recovery succeeded — restarting scanner');
+        // The recovered message goes out after the first successful scan
+        logger.info('✅ Auto-recovery succeeded — restarting scanner');
         scanStats.consecutiveErrors = 0;
         startScanning();
-        try {
-          await notifier.sendDownAlert(`Auto-recovery succeeded after ${attempt} attempt(s). Scanner back online.`);
-        } catch (e) { /* best effort */ }
       } else {
-        log(`❌ Auto-recovery attempt ${attempt} failed — will retry`);
+        logger.error(`❌ Auto-recovery attempt ${attempt} failed — will retry`);
         await tryRecover();
       }
     }, delaySec * 1000);
@@ -104,125 +229,369 @@ function cancelAutoRecovery() {
 }
 
 // Re-authentication on 401
-async function reauth(which) {
-  log(`🔄 ${which} token expired — re-authenticating...`);
-  
-  // Close stale browser context before retrying
-  try { await auth.closeBrowser(); } catch (e) { /* ignore */ }
+async function reauth(which, credentialsId = sites.DEFAULT_CREDENTIALS_ID) {
+  const label = credentialsLabel(credentialsId);
+  logger.info(`🔄 ${which} token expired${label} — re-authenticating...`, { credentials: credentialsId });
 
+  // Keep the browser open: the live session usually refreshes the token
+  // without a full login. The expired token is passed so it isn't reused.
   try {
     if (which === 'Apex' || which === 'both') {
-      apexToken = await auth.getApexToken();
-      log('✅ Apex re-auth successful');
+      await refreshToken(credentialsId, 'apex');
+      logger.info(`✅ Apex re-auth successful${label}`);
     }
     if (which === 'Load Entry' || which === 'both') {
-      loadEntryToken = await auth.getLoadEntryToken();
-      log('✅ Load Entry re-auth successful');
+      await refreshToken(credentialsId, 'loadEntry');
+      logger.info(`✅ Load Entry re-auth successful${label}`);
     }
     return true;
   } catch (error) {
-    log(`❌ Re-auth failed: ${error.message}`);
+    logger.error(`❌ Re-auth failed: ${error.message}`, { credentials: credentialsId });
+    daystats.recordAuthFailure(`${which} re-auth: ${error.message}`, credentialsId);
+    reportMfa(error, credentialsId);
     scanStats.lastError = error.message;
     return false;
   }
 }
 
-// Main scanning logic
-async function performScan() {
-  if (!apexToken || !loadEntryToken) {
-    log('❌ Cannot scan — not authenticated');
+// Pre-emptive refresh: renew each token TOKEN_REFRESH_MINUTES before it
+// expires, in the background — scans keep using the current token meanwhile
+const refreshing = new Set(); // `${credentialsId}|${kind}` being refreshed
+const refreshRetryAt = new Map(); // same key → time to try again after a failure
+
+function watchTokenExpiry() {
+  setInterval(() => {
+    if (!isAuthenticated() || recoveryTimer) return;
+    const refreshBy = Date.now() + TOKEN_REFRESH_MINUTES * 60000;
+    for (const [id, session] of sessions) {
+      for (const kind of Object.keys(TOKEN_LABELS)) {
+        const key = `${id}|${kind}`;
+        const expiresAt = session[`${kind}ExpiresAt`];
+        if (!expiresAt || expiresAt.getTime() > refreshBy) continue;
+        if (refreshing.has(key) || (refreshRetryAt.get(key) || 0) > Date.now()) continue;
+
+        const label = `${TOKEN_LABELS[kind]} token${credentialsLabel(id)}`;
+        logger.info(`🔑 ${label} ${describeExpiry(expiresAt)} — refreshing in the background`);
+        refreshing.add(key);
+        refreshToken(id, kind)
+          .then(() => {
+            refreshRetryAt.delete(key);
+            logger.info(`✅ ${label} refreshed (${describeExpiry(session[`${kind}ExpiresAt`])})`);
+          })
+          .catch(err => {
+            refreshRetryAt.set(key, Date.now() + 120000);
+            logger.warn(`⚠️ ${label} refresh failed: ${err.message} — retrying in 2 min`);
+            reportMfa(err, id);
+          })
+          .finally(() => refreshing.delete(key));
+      }
+    }
+  }, 30000);
+}
+
+function tokenStatus() {
+  return [...sessions].map(([credentialsId, session]) => ({
+    credentialsId,
+    apexExpiresAt: session.apexExpiresAt,
+    loadEntryExpiresAt: session.loadEntryExpiresAt
+  }));
+}
+
+// PO counts for a (possibly site-filtered) list of PO rows
+function summarize(poData) {
+  return {
+    poCount: poData.length,
+    overCount: poData.filter(p => p.status === 'OVER').length,
+    cancelledCount: poData.filter(p => p.status === 'CANCELLED').length,
+    wouldCancelCount: poData.filter(p => p.status === 'WOULD_CANCEL').length,
+    ignoredCount: poData.filter(p => p.status === 'IGNORED').length,
+    exemptCount: poData.filter(p => p.status === 'EXEMPT').length,
+    pendingApprovalCount: poData.filter(p => p.status === 'PENDING_APPROVAL').length,
+    unjustifiedCount: poData.filter(p => p.status === 'VOID_UNJUSTIFIED').length
+  };
+}
+
+// Last scan result, optionally narrowed to one site
+function scanResultFor(siteId) {
+  if (!lastScanResult || !siteId) return lastScanResult;
+  const poData = lastScanResult.poData.filter(p => p.site === siteId);
+  return {
+    ...lastScanResult,
+    ...summarize(poData),
+    actions: lastScanResult.actionsBySite[siteId] || 0,
+    poData
+  };
+}
+
+// What the live dashboard's status cards show
+function liveStatus() {
+  return {
+    authenticated: isAuthenticated(),
+    scanning: isScanning,
+    mode: scanner.getMode(),
+    stats: scanStats,
+    notifications: outbox.counts(),
+    pendingApprovals: approvals.list({ status: 'pending' }).length,
+    outage: outages.current()
+  };
+}
+
+function publishStatus() {
+  live.publish('status', liveStatus());
+}
+
+// Approve / Reject links and the timeout outcome for a held action's alert
+function addApprovalLinks(action) {
+  const item = approvals.get(action.approvalId);
+  action.approveUrl = approvals.signedLink(PUBLIC_URL, item, 'approve');
+  action.rejectUrl = approvals.signedLink(PUBLIC_URL, item, 'reject');
+  action.timeoutAction = approvals.TIMEOUT_ACTION;
+}
+
+// One past-date scan step with the site's tokens; a 401 re-authenticates and
+// retries once. Payments held on the way need a decision, so their alerts go
+// out like a live scan's; nothing else a past-date scan finds is notified.
+async function runBackfillStep({ site, subDept }, options) {
+  let result;
+  for (let attempt = 1; !result; attempt++) {
+    const session = sessions.get(site.credentialsId);
+    if (!session || !session.apexToken || !session.loadEntryToken) throw new Error('Not authenticated');
+    try {
+      result = await scanner.scan([subDept], session.apexToken, session.loadEntryToken, site, options);
+    } catch (err) {
+      if (err.status !== 401 || attempt > 1) throw err;
+      const which = err.source === 'apex' ? 'Apex' : err.source === 'loadentry' ? 'Load Entry' : 'both';
+      if (!(await reauth(which, site.credentialsId))) throw err;
+    }
+  }
+  let queued = 0;
+  for (const action of result.actions.filter(a => a.type === 'held')) {
+    action.siteName = site.name;
+    addApprovalLinks(action);
+    queued += outbox.enqueueAction(action, site.notify).length;
+  }
+  if (queued) logger.info(`📬 Queued ${queued} approval notification(s) for ${options.date}`);
+  return result;
+}
+
+// Approved items from past operational dates never come up in the live scan.
+// Re-scan each one's subdept for its date (in approval mode, so nothing else
+// is voided without a decision) to void the payment if it's still over the limit.
+async function voidApprovedPastItems() {
+  if (backfill.current()) return; // it may be writing the same dates
+  const groups = new Map();
+  for (const item of approvals.approvedBefore(api.todayLoadEntry())) {
+    const key = `${item.date}|${item.site}|${item.subDept}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  for (const items of groups.values()) {
+    const { date, subDept } = items[0];
+    const site = configuredSites.find(s => s.id === items[0].site);
+    if (!site) {
+      logger.warn(`⚠️ Approved voids on ${date} not re-scanned: site "${items[0].site}" is no longer configured`);
+      for (const item of items) approvals.markRescanned(item.id);
+      continue;
+    }
+    let result;
+    try {
+      result = await runBackfillStep({ site, subDept }, { date, mode: 'approval' });
+      analytics.invalidate(date);
+    } catch (err) {
+      logger.error(`❌ Re-scan of ${date} ${site.id}/SD${subDept} for approved voids failed: ${err.message}`);
+      continue; // next cycle
+    }
+    // Still OVER means the void failed — leave the item for the next cycle
+    for (const item of items) {
+      const row = result.poData.find(p => p.driverWalletCheckoutID === item.driverWalletCheckoutID);
+      if (approvals.get(item.id).voidedAt || (row && row.status === 'OVER')) continue;
+      approvals.markRescanned(item.id);
+      logger.info(`ℹ️ PO ${item.poNumber} approved but not voided — on re-scanning ${date} it was ${row ? row.status : 'no longer listed'}`, { po: item.poNumber });
+    }
+  }
+}
+
+// Main scanning logic — every line logged during one cycle carries its scanId
+function performScan() {
+  return logger.withContext({ scanId: logger.newId() }, runScanCycle);
+}
+
+async function runScanCycle() {
+  if (!isAuthenticated()) {
+    logger.error('❌ Cannot scan — not authenticated');
     return false;
   }
 
+  const cycleStarted = Date.now();
+  let cycleResult = 'error';
   try {
     scanStats.totalScans++;
     scanStats.lastScanTime = new Date();
+
+    // Resolve approval items nobody answered in time (voided on this scan if approved)
+    for (const item of approvals.expire()) {
+      logger.info(`⏱️ Approval for PO ${item.poNumber} timed out — ${item.status === 'approved' ? 'auto-voiding' : 'auto-released'}`, { po: item.poNumber });
+    }
+    await voidApprovedPastItems();
     
-    // Scan both subdepts 85 & 86
-    const subdepts = [85, 86];
-    const result = await scanner.scan(subdepts, apexToken, loadEntryToken, log);
+    // Scan every configured site's subdepts
+    const poData = [];
+    const actions = [];
+    const actionsBySite = {};
+    for (const site of configuredSites) {
+      const session = sessions.get(site.credentialsId);
+      let result;
+      try {
+        result = await scanner.scan(site.subdepts, session.apexToken, session.loadEntryToken, site);
+      } catch (err) {
+        err.credentialsId = site.credentialsId;
+        throw err;
+      }
+      for (const action of result.actions) {
+        action.siteName = site.name;
+        live.action(action);
+      }
+      poData.push(...result.poData);
+      actions.push(...result.actions);
+      actionsBySite[site.id] = result.actions.length;
+    }
     
     lastScanResult = {
       timestamp: new Date().toISOString(),
-      poCount: result.poData.length,
-      overCount: result.poData.filter(p => p.status === 'OVER').length,
-      cancelledCount: result.poData.filter(p => p.status === 'CANCELLED').length,
-      actions: result.actions.length,
-      poData: result.poData
+      ...summarize(poData),
+      mode: scanner.getMode(),
+      actions: actions.length,
+      actionsBySite,
+      poData
     };
+    live.publish('scan', client => scanResultFor(client.site));
 
-    // Send email alerts
-    for (const action of result.actions) {
-      if (action.type === 'cancelled' || action.type === 'over-no-wallet') {
-        try {
-          await notifier.sendEmail(action);
-          log(`📧 Email sent to ${process.env.NOTIFY_EMAIL} for PO ${action.poNumber} (${action.type})`);
-        } catch (emailErr) {
-          log(`⚠️ Email failed: ${emailErr.message}`);
-        }
+    // Queue notifications for each site's recipients — the outbox sends them
+    // in the background so a burst of alerts never holds up the scan
+    let queued = 0;
+    for (const action of actions) {
+      if (notifier.ACTION_EVENTS.includes(action.type)) {
+        const site = configuredSites.find(s => s.id === action.site);
+        const recipients = site ? site.notify : [];
+        if (action.type === 'held') addApprovalLinks(action);
+        queued += outbox.enqueueAction(action, recipients).length;
       }
     }
+    if (queued) logger.info(`📬 Queued ${queued} notification(s)`);
 
     scanStats.successfulScans++;
+    scanStats.lastSuccessTime = new Date();
     scanStats.consecutiveErrors = 0;
-    log(`✅ Scan cycle complete: ${result.poData.length} POs, ${result.actions.length} actions taken`);
+    cycleResult = 'success';
+    daystats.recordScan(true, SCAN_INTERVAL_MS);
+    if (outages.current()) {
+      const recipients = outages.recipients(allRecipients());
+      const outage = outages.end();
+      logger.info(`✅ Scanner recovered after ${Math.round(outages.downtimeMs(outage) / 60000)} min down`);
+      outbox.enqueueOutage('recovered', outage, recipients);
+    }
+    logger.info(`✅ Scan cycle complete: ${poData.length} POs, ${actions.length} actions taken`, { pos: poData.length, actions: actions.length });
     return true;
 
   } catch (error) {
     scanStats.errors++;
+    daystats.recordScan(false);
     const msg = error.message || '';
     
-    // Handle 401 re-auth
-    if (msg.includes('401')) {
-      const isApex = msg.includes('siteadminsso') || msg.includes('Apex');
-      const isLE = msg.includes('loadentry') || msg.includes('LoadEntry');
-      const which = isApex && isLE ? 'both' : isApex ? 'Apex' : isLE ? 'Load Entry' : 'both';
-      
-      const success = await reauth(which);
+    // Handle 401 re-auth — api.js tags which API (and so which token) failed
+    if (error.status === 401) {
+      cycleResult = 'reauth';
+      const which = error.source === 'apex' ? 'Apex' : error.source === 'loadentry' ? 'Load Entry' : 'both';
+
+      const success = await reauth(which, error.credentialsId);
       if (success) {
-        log('🔄 Re-auth succeeded — will retry on next cycle');
+        logger.info('🔄 Re-auth succeeded — will retry on next cycle');
         return false; // Don't count as failed scan
       } else {
-        log('💥 Re-auth failed — stopping scanner, starting auto-recovery');
+        logger.error('💥 Re-auth failed — stopping scanner, starting auto-recovery');
         stopScanning();
-        try {
-          await notifier.sendDownAlert('Re-authentication failed after token expiry — auto-recovery started', scanStats.lastAuthScreenshot);
-          log('📧 Down alert email sent');
-        } catch (e) {
-          log(`⚠️ Down alert email failed: ${e.message}`);
-        }
+        reportDown('Re-authentication failed after token expiry — auto-recovery started', scanStats.lastAuthScreenshot);
         startAutoRecovery('re-auth failed after 401');
         return false;
       }
     } else {
-      log(`❌ Scan error: ${msg}`);
+      logger.error(`❌ Scan error: ${msg}`);
       scanStats.lastError = msg;
       scanStats.consecutiveErrors = (scanStats.consecutiveErrors || 0) + 1;
       if (scanStats.consecutiveErrors >= 5) {
-        log('💥 5 consecutive scan errors — stopping scanner, starting auto-recovery');
+        logger.error('💥 5 consecutive scan errors — stopping scanner, starting auto-recovery');
         stopScanning();
-        try {
-          await notifier.sendDownAlert(`5 consecutive scan errors. Last error: ${msg} — auto-recovery started`);
-          log('📧 Down alert email sent');
-        } catch (e) {
-          log(`⚠️ Down alert email failed: ${e.message}`);
-        }
+        reportDown(`5 consecutive scan errors. Last error: ${msg} — auto-recovery started`, null);
         startAutoRecovery(`5 consecutive errors: ${msg}`);
       }
       return false;
     }
+  } finally {
+    scanCycles.inc({ result: cycleResult });
+    scanCycleDuration.observe({}, (Date.now() - cycleStarted) / 1000);
+    publishStatus();
+  }
+}
+
+// Queue the digest for an operational date that has ended
+function sendDigest(dateKey) {
+  const summary = digest.build(dateKey);
+  logger.info(`📋 Queueing shift digest for ${dateKey}: ${summary.totals.poCount} POs, ${summary.totals.voidedCount} voided`);
+  const queued = outbox.enqueueDigest(dateKey, allRecipients());
+  daystats.markDigestSent(dateKey);
+  return queued;
+}
+
+// Watch for the 2:00 AM rollover; on startup, catch up on yesterday's digest
+// if the service was down at the boundary.
+let digestDay = null;
+function scheduleDigest() {
+  digestDay = api.todayLoadEntry();
+  const yesterday = digest.previousDateKey(digestDay);
+  const stats = daystats.load(yesterday);
+  if (!stats.digestSentAt && (stats.scans > 0 || digest.build(yesterday).totals.poCount > 0)) {
+    sendDigest(yesterday);
   }
+
+  setInterval(() => {
+    const today = api.todayLoadEntry();
+    if (today === digestDay) return;
+    const ended = digestDay;
+    digestDay = today;
+    try {
+      sendDigest(ended);
+    } catch (err) {
+      logger.warn(`⚠️ Shift digest failed: ${err.message}`);
+    }
+  }, 60000);
+}
+
+// "Still down" reminders and escalation while an outage is open
+function watchOutage() {
+  setInterval(() => {
+    const stage = outages.due();
+    if (!stage) return;
+    // Mark first so an escalation already goes to the escalation contacts
+    outages.markNotified(stage);
+    const outage = outages.current();
+    logger.info(`${stage === 'escalation' ? '📢 Escalating' : '⏰ Reminder:'} scanner down ${Math.round(outages.downtimeMs(outage) / 60000)} min`);
+    outbox.enqueueOutage(stage, outage, outages.recipients(allRecipients()));
+  }, 60000);
+}
+
+function describeSites() {
+  return configuredSites.map(s => `${s.name} (subdepts ${s.subdepts.join(' & ')})`).join(', ');
 }
 
 // Scanning control
 function startScanning() {
   if (isScanning) {
-    log('⚠️ Scanner already running');
+    logger.warn('⚠️ Scanner already running');
     return false;
   }
   cancelAutoRecovery();
 
-  log('🚀 Starting scanner — monitoring subdepts 85 & 86 every 10 seconds');
+  logger.info(`🚀 Starting scanner — monitoring ${describeSites()} every ${SCAN_INTERVAL_MS / 1000} seconds (${scanner.getMode()} mode)`);
   isScanning = true;
   
   // Initial scan
@@ -233,18 +602,19 @@ function startScanning() {
     if (isScanning) {
       await performScan();
     }
-  }, 10000); // 10 seconds
+  }, SCAN_INTERVAL_MS);
 
+  publishStatus();
   return true;
 }
 
 function stopScanning() {
   if (!isScanning) {
-    log('⚠️ Scanner not running');
+    logger.warn('⚠️ Scanner not running');
     return false;
   }
 
-  log('🛑 Stopping scanner');
+  logger.info('🛑 Stopping scanner');
   isScanning = false;
   
   if (scanInterval) {
@@ -252,12 +622,127 @@ function stopScanning() {
     scanInterval = null;
   }
 
+  publishStatus();
   return true;
 }
 
+// What /readyz checks
+function readiness() {
+  const maxAgeSeconds = READY_MAX_MISSED_SCANS * SCAN_INTERVAL_MS / 1000;
+  const lastSuccessAgeSeconds = scanStats.lastSuccessTime
+    ? Math.round((Date.now() - scanStats.lastSuccessTime.getTime()) / 1000)
+    : null;
+  const checks = {
+    authenticated: isAuthenticated(),
+    scanning: isScanning,
+    recentScan: lastSuccessAgeSeconds !== null && lastSuccessAgeSeconds <= maxAgeSeconds
+  };
+  return {
+    ready: Object.values(checks).every(Boolean),
+    checks,
+    lastSuccessfulScan: scanStats.lastSuccessTime,
+    lastSuccessAgeSeconds,
+    maxAgeSeconds,
+    outage: outages.current() ? outages.current().reason : null
+  };
+}
+
+// Service state read at scrape time
+const upGauge = metrics.gauge('pallet_guard_up', 'Service state flags (authenticated, scanning, ready, outage), 1 or 0');
+const modeGauge = metrics.gauge('pallet_guard_scan_mode', 'Current scan mode (1 for the active mode)');
+const lastSuccessGauge = metrics.gauge('pallet_guard_last_successful_scan_timestamp_seconds', 'When the last scan cycle succeeded');
+const tokenAgeGauge = metrics.gauge('pallet_guard_token_age_seconds', 'Seconds since each token was acquired');
+const tokenExpiryGauge = metrics.gauge('pallet_guard_token_expires_in_seconds', 'Seconds until each token\'s JWT expires (negative once expired)');
+const posGauge = metrics.gauge('pallet_guard_pos', 'POs in the last scan by site, subdept and status');
+const outboxGauge = metrics.gauge('pallet_guard_notifications_queued', 'Notification outbox entries by status');
+const approvalsGauge = metrics.gauge('pallet_guard_approvals_pending', 'Held voids waiting for a decision');
+const outageGauge = metrics.gauge('pallet_guard_outage_seconds', 'How long the scanner has been down (0 when up)');
+metrics.onCollect(() => {
+  const ready = readiness();
+  upGauge.set({ state: 'authenticated' }, ready.checks.authenticated ? 1 : 0);
+  upGauge.set({ state: 'scanning' }, isScanning ? 1 : 0);
+  upGauge.set({ state: 'ready' }, ready.ready ? 1 : 0);
+  upGauge.set({ state: 'outage' }, outages.current() ? 1 : 0);
+  for (const m of scanner.MODES) modeGauge.set({ mode: m }, m === scanner.getMode() ? 1 : 0);
+  if (scanStats.lastSuccessTime) lastSuccessGauge.set({}, scanStats.lastSuccessTime.getTime() / 1000);
+
+  tokenAgeGauge.reset();
+  tokenExpiryGauge.reset();
+  for (const [credentialsId, session] of sessions) {
+    for (const kind of ['apex', 'loadEntry']) {
+      const labels = { credentials: credentialsId, token: kind };
+      if (session[`${kind}AcquiredAt`]) tokenAgeGauge.set(labels, Math.round((Date.now() - new Date(session[`${kind}AcquiredAt`])) / 1000));
+      if (session[`${kind}ExpiresAt`]) tokenExpiryGauge.set(labels, Math.round((new Date(session[`${kind}ExpiresAt`]) - Date.now()) / 1000));
+    }
+  }
+
+  posGauge.reset();
+  for (const po of lastScanResult ? lastScanResult.poData : []) {
+    const labels = { site: po.site || 'default', subdept: String(po.subDept), status: po.status };
+    posGauge.inc(labels);
+  }
+
+  const counts = outbox.counts();
+  for (const status of outbox.STATUSES) outboxGauge.set({ status }, counts[status] || 0);
+  approvalsGauge.set({}, approvals.list({ status: 'pending' }).length);
+  const outage = outages.current();
+  outageGauge.set({}, outage ? Math.round(outages.downtimeMs(outage) / 1000) : 0);
+});
+
 // Web Dashboard API
 const app = express();
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use(access.identify);
+app.use(access.recordControl);
+
+// Everything but the login page and the health checks needs a login
+const PUBLIC_PATHS = [/^\/login$/, /^\/healthz$/, /^\/readyz$/];
+const requireViewer = access.requireRole('viewer');
+const requireOperator = access.requireRole('operator');
+const requireAdmin = access.requireRole('admin');
+app.use((req, res, next) => (PUBLIC_PATHS.some(p => p.test(req.path)) ? next() : requireViewer(req, res, next)));
+
+app.get('/login', (req, res) => {
+  const next = access.safeNext(req.query.next);
+  if (req.user) return res.redirect(next);
+  res.send(dashboard.renderLoginPage({ next, noUsers: users.count() === 0 }));
+});
+
+app.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const next = access.safeNext(req.body && req.body.next);
+  req.loginAttempt = String(username || '').toLowerCase() || null;
+  const result = await access.login(req, res, username, password);
+  if (result.error) {
+    logger.info(`🔒 Failed login for "${req.loginAttempt}" from ${req.ip}: ${result.error}`);
+    return res.status(401).send(dashboard.renderLoginPage({ error: result.error, next, username, noUsers: users.count() === 0 }));
+  }
+  req.user = { ...result.user, via: 'session' };
+  logger.info(`🔓 ${result.user.username} (${result.user.role}) logged in from ${req.ip}`);
+  res.redirect(303, next);
+});
+
+app.post('/logout', (req, res) => {
+  access.logout(res);
+  res.redirect(303, '/login');
+});
+
+// Liveness — the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+});
+
+// Readiness — authenticated, scanning, and a scan succeeded recently. 503 otherwise.
+app.get('/readyz', (req, res) => {
+  const ready = readiness();
+  res.status(ready.ready ? 200 : 503).json(ready);
+});
+
+// Prometheus scrape endpoint (send a viewer's API token as a bearer token)
+app.get('/metrics', (req, res) => {
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
 
 // Status endpoint
 app.get('/api/status', (req, res) => {
@@ -265,21 +750,71 @@ app.get('/api/status', (req, res) => {
     service: 'Pallet Guard Headless',
     version: '1.0.0',
     uptime: Math.floor((Date.now() - scanStats.startTime.getTime()) / 1000),
-    authenticated: !!(apexToken && loadEntryToken),
+    authenticated: isAuthenticated(),
     scanning: isScanning,
+    mode: scanner.getMode(),
+    sites: configuredSites.map(sites.describe),
+    channels: notifier.getChannels(),
+    secrets: secrets.describe(),
+    tokens: tokenStatus(),
+    outage: outages.current(),
     stats: scanStats,
-    lastScan: lastScanResult
+    lastScan: scanResultFor(req.query.site)
+  });
+});
+
+// Live dashboard stream (Server-Sent Events) — ?site= narrows POs and actions
+app.get('/api/live', (req, res) => {
+  const site = configuredSites.some(s => s.id === req.query.site) ? req.query.site : null;
+  live.connect(req, res, {
+    site,
+    hello: { status: liveStatus(), scan: scanResultFor(site), backfill: backfill.list()[0] || null }
   });
 });
 
 // Control endpoints
-app.post('/api/auth', async (req, res) => {
+app.post('/api/auth', requireOperator, async (req, res) => {
   const success = await authenticate();
-  res.json({ success, authenticated: !!(apexToken && loadEntryToken) });
+  res.json({ success, authenticated: isAuthenticated() });
+});
+
+// Endpoints that touch credentials are admin-only (an admin user, their API
+// token, or `Authorization: Bearer <ADMIN_TOKEN>`)
+app.get('/api/secrets', requireAdmin, (req, res) => {
+  res.json(secrets.describe());
+});
+
+// Rotate credentials without a restart: { secrets: { NAME: value }, reauth }.
+// With no values it just reloads from the provider (e.g. after changing the
+// vault entry the command provider reads). Values are never echoed or logged.
+app.post('/api/secrets/rotate', requireAdmin, async (req, res) => {
+  const values = (req.body && req.body.secrets) || {};
+  let rotated;
+  try {
+    rotated = secrets.rotate(values);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  logger.info(`🔑 Secrets ${rotated.length ? `rotated: ${rotated.join(', ')}` : `reloaded from ${secrets.PROVIDER}`}`);
+
+  let channels;
+  try {
+    channels = notifier.reload();
+  } catch (err) {
+    logger.warn(`⚠️ Notify channels failed to reload after secret rotation: ${err.message}`);
+    return res.status(500).json({ rotated, error: `Secrets updated, but notify channels failed to reload: ${err.message}` });
+  }
+
+  // Optionally log in with the new credentials right away
+  const result = { rotated, provider: secrets.PROVIDER, channels };
+  if (req.body && req.body.reauth) {
+    result.authenticated = await authenticate();
+  }
+  res.json(result);
 });
 
-app.post('/api/scan/start', (req, res) => {
-  if (!apexToken || !loadEntryToken) {
+app.post('/api/scan/start', requireOperator, (req, res) => {
+  if (!isAuthenticated()) {
     return res.status(400).json({ error: 'Not authenticated' });
   }
   
@@ -287,128 +822,468 @@ app.post('/api/scan/start', (req, res) => {
   res.json({ success, scanning: isScanning });
 });
 
-app.post('/api/scan/stop', (req, res) => {
+app.post('/api/scan/stop', requireOperator, (req, res) => {
   const success = stopScanning();
   res.json({ success, scanning: isScanning });
 });
 
-// Simple web dashboard
+// Scan mode: 'enforce' voids payments, 'shadow' only records what it would void
+app.get('/api/mode', (req, res) => {
+  res.json({ mode: scanner.getMode(), modes: scanner.MODES });
+});
+
+app.post('/api/mode', requireAdmin, (req, res) => {
+  const next = (req.body && req.body.mode) || '';
+  try {
+    const previous = scanner.getMode();
+    scanner.setMode(next);
+    if (previous !== next) logger.info(`🔀 Scan mode changed by ${req.user.username}: ${previous} → ${next}`);
+    publishStatus();
+    res.json({ success: true, mode: scanner.getMode() });
+  } catch (error) {
+    res.status(400).json({ error: error.message, mode: scanner.getMode() });
+  }
+});
+
+// Over-limit rules currently in effect (config/rules.json)
+app.get('/api/rules', (req, res) => {
+  res.json({ rules: scanner.getRules() });
+});
+
+// Notification channels and routing rules in effect (config/notify.json)
+app.get('/api/notify', (req, res) => {
+  res.json({ channels: notifier.getChannels(), routes: notifier.getRoutes() });
+});
+
+// Who would receive an action — nothing is sent.
+// ?type=cancelled&subDept=85&carrier=Acme&site=dc7&at=2025-01-12T07:30:00-05:00
+app.get('/api/notify/preview', (req, res) => {
+  const { type, carrier } = req.query;
+  if (!notifier.EVENTS.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${notifier.EVENTS.join(', ')}` });
+  }
+  const siteId = req.query.site || (configuredSites.length === 1 ? configuredSites[0].id : null);
+  const site = configuredSites.find(s => s.id === siteId);
+  if (req.query.site && !site) return res.status(400).json({ error: `Unknown site "${req.query.site}"` });
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at)) return res.status(400).json({ error: 'at must be a date' });
+
+  const subDept = req.query.subDept ? parseInt(req.query.subDept, 10) : undefined;
+  // Service-wide alerts go to every site's list; actions to their site's
+  const serviceWide = !notifier.ACTION_EVENTS.includes(type);
+  const recipients = serviceWide ? allRecipients() : (site ? site.notify : []);
+  res.json(notifier.preview({ type, site: siteId, subDept, carrier }, recipients, at));
+});
+
+// Audit history — every cancellation, alert and failed void with its PO snapshot
+// ?date=YYYY-MM-DD or ?from=&to=, plus optional po, carrier, type, site filters
+app.get('/api/history', (req, res) => {
+  const { date, po, carrier, type, site } = req.query;
+  const from = req.query.from || date || api.todayLoadEntry();
+  const to = req.query.to || date || from;
+  try {
+    const records = audit.query({ from, to, po, carrier, type, site });
+    res.json({ from, to, count: records.length, records });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Notification outbox — queued, sent and failed deliveries
+// ?status=pending|sent|failed &limit=100
+app.get('/api/notifications', (req, res) => {
+  const { status } = req.query;
+  if (status && !outbox.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${outbox.STATUSES.join(', ')}` });
+  }
+  const limit = parseInt(req.query.limit, 10) || 100;
+  res.json({ counts: outbox.counts(), notifications: outbox.list({ status, limit }) });
+});
+
+app.post('/api/notifications/:id/retry', requireOperator, (req, res) => {
+  try {
+    const entry = outbox.retry(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Notification not found' });
+    logger.info(`🔁 Re-queued ${entry.event} notification for ${entry.summary} on ${entry.channel}`);
+    res.json({ success: true, id: entry.id, status: entry.status });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Shift digest for an operational date (default: the day that just ended)
+app.get('/api/digest', (req, res) => {
+  const date = req.query.date || digest.previousDateKey(api.todayLoadEntry());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  res.json(digest.build(date));
+});
+
+// Send (or re-send) a digest now
+app.post('/api/digest/send', requireOperator, (req, res) => {
+  const date = (req.body && req.body.date) || digest.previousDateKey(api.todayLoadEntry());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  try {
+    const queued = sendDigest(date);
+    res.json({ success: queued.length > 0, date, queued: queued.map(e => ({ id: e.id, channel: e.channel })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancellations for an operational date, each with its reversal (if any)
+app.get('/api/cancellations', (req, res) => {
+  const date = req.query.date || api.todayLoadEntry();
+  try {
+    const records = audit.query({ from: date, type: 'cancelled', site: req.query.site });
+    res.json({ date, count: records.length, cancellations: records });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reverse a mistaken void — :id is the cancelled audit record's id.
+// Returns the reversal report for the payments team.
+app.post('/api/cancellations/:id/reverse', requireOperator, (req, res) => {
+  const { by, reason } = req.body || {};
+  try {
+    const report = reversals.reverse(req.params.id, { by: access.actorName(req, by), reason });
+    if (!report) return res.status(404).json({ error: 'Cancellation not found' });
+    logger.info(`⏪ Void REVERSED for PO ${report.poNumber} (CheckoutID ${report.driverWalletCheckoutID}) by ${report.reversedBy}: ${report.reversalReason}`, { po: report.poNumber });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/cancellations/:id/reversal', (req, res) => {
+  const report = reversals.getReport(req.params.id);
+  if (!report) return res.status(404).json({ error: 'No reversal for this cancellation' });
+  res.json(report);
+});
+
+// Daily export — one row per PO for an operational date
+// ?date=YYYY-MM-DD (default today) &format=csv|xlsx (default csv) &site=
+app.get('/api/export', async (req, res) => {
+  const date = req.query.date || api.todayLoadEntry();
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+  if (format !== 'csv' && format !== 'xlsx') {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+
+  try {
+    const rows = exporter.buildRows(date, { site: req.query.site });
+    const filename = `pallet-guard-${req.query.site ? req.query.site + '-' : ''}${date}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(exporter.toCsv(rows));
+    } else {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+        .send(Buffer.from(await exporter.toXlsx(rows, date)));
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Export failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Backfill — re-run the evaluation over past operational dates (see backfill.js)
+// { from, to (default from), subdepts: [85, 86] (default all), site, mode: report | enforce }
+app.post('/api/backfill', requireOperator, (req, res) => {
+  const { from, to, mode, site, subdepts } = req.body || {};
+  if (site && !configuredSites.some(s => s.id === site)) return res.status(400).json({ error: `Unknown site "${site}"` });
+  const wanted = subdepts == null || subdepts === ''
+    ? null
+    : String(subdepts).split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+  const targets = configuredSites
+    .filter(s => !site || s.id === site)
+    .map(s => ({ site: s, subdepts: wanted ? s.subdepts.filter(n => wanted.includes(n)) : s.subdepts }))
+    .filter(t => t.subdepts.length);
+  if (!isAuthenticated()) return res.status(503).json({ error: 'Not authenticated — re-authenticate first' });
+  if (backfill.current()) return res.status(409).json({ error: `Backfill ${backfill.current().id} is still running` });
+  try {
+    const job = backfill.start({ from, to, mode, requestedBy: access.actorName(req) }, targets, runBackfillStep);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/backfill', (req, res) => {
+  res.json({ current: backfill.current(), jobs: backfill.list() });
+});
+
+app.get('/api/backfill/:id', (req, res) => {
+  const job = backfill.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Backfill not found' });
+  res.json(job);
+});
+
+app.post('/api/backfill/cancel', requireOperator, (req, res) => {
+  const job = backfill.cancel();
+  if (!job) return res.status(409).json({ error: 'No backfill is running' });
+  logger.info(`⏹️ Backfill ${job.id} cancelled by ${access.actorName(req)}`);
+  res.json({ success: true, id: job.id });
+});
+
+// Carrier and truck analytics from the daily snapshots
+// ?from=&to= (YYYY-MM-DD, up to 93 days) or ?weeks=N (default 12), &site=
+const ANALYTICS_SECTIONS = ['carriers', 'voids', 'trucks', 'trends'];
+
+function analyticsFor(query) {
+  const { from, to, site } = query;
+  for (const date of [from, to]) {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('from and to must be YYYY-MM-DD');
+  }
+  const weeks = parseInt(query.weeks, 10) || analytics.DEFAULT_WEEKS;
+  return analytics.build({ from, to, site: site || undefined, weeks });
+}
+
+app.get('/api/analytics', (req, res) => {
+  try {
+    res.json(analyticsFor(req.query));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/analytics/:section', (req, res) => {
+  const { section } = req.params;
+  if (!ANALYTICS_SECTIONS.includes(section)) {
+    return res.status(404).json({ error: `Unknown section — one of ${ANALYTICS_SECTIONS.join(', ')}` });
+  }
+  try {
+    const report = analyticsFor(req.query);
+    res.json({ from: report.from, to: report.to, site: report.site, weeks: report.weeks, [section]: report[section] });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Exemptions — POs, trucks or carriers a supervisor has cleared from voiding
+app.get('/api/exemptions', (req, res) => {
+  res.json({ exemptions: exemptions.list({ includeExpired: req.query.all === 'true' }) });
+});
+
+app.post('/api/exemptions', requireOperator, (req, res) => {
+  const body = req.body || {};
+  try {
+    const entry = exemptions.add({ ...body, createdBy: access.actorName(req, body.createdBy) });
+    logger.info(`🛂 Exemption added by ${entry.createdBy}: ${entry.kind} "${entry.value}" — ${entry.reason}${entry.expiresAt ? ` (until ${entry.expiresAt})` : ''}`);
+    res.status(201).json({ success: true, exemption: entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/exemptions/:id', requireOperator, (req, res) => {
+  const { kind, value, reason, expiresAt, updatedBy } = req.body || {};
+  try {
+    const entry = exemptions.update(req.params.id, { kind, value, reason, expiresAt }, access.actorName(req, updatedBy));
+    if (!entry) return res.status(404).json({ error: 'Exemption not found' });
+    logger.info(`🛂 Exemption updated by ${entry.updatedBy}: ${entry.kind} "${entry.value}"`);
+    res.json({ success: true, exemption: entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/exemptions/:id', requireOperator, (req, res) => {
+  const entry = exemptions.remove(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Exemption not found' });
+  logger.info(`🛂 Exemption removed by ${req.user.username}: ${entry.kind} "${entry.value}"`);
+  res.json({ success: true, exemption: entry });
+});
+
+// Approval queue — held voids waiting for a supervisor (approval mode / 'hold' rules)
+app.get('/api/approvals', (req, res) => {
+  res.json({
+    timeoutMinutes: approvals.TIMEOUT_MINUTES,
+    timeoutAction: approvals.TIMEOUT_ACTION,
+    approvals: approvals.list({ status: req.query.status })
+  });
+});
+
+function decideApproval(id, decision, by, via, note) {
+  const item = approvals.decide(id, decision, by, via, note);
+  if (item) {
+    logger.info(`${decision === 'approve' ? '✅' : '↩️'} Approval for PO ${item.poNumber} ${item.status} by ${item.decidedBy} (${via})`
+      + (decision === 'approve' ? ' — voiding on next scan' : ' — payment kept'), { po: item.poNumber });
+    publishStatus();
+  }
+  return item;
+}
+
+app.post('/api/approvals/:id/:decision', requireOperator, (req, res) => {
+  const { by, note } = req.body || {};
+  try {
+    const item = decideApproval(req.params.id, req.params.decision, access.actorName(req, by), 'dashboard', note);
+    if (!item) return res.status(404).json({ error: 'Approval item not found' });
+    res.json({ success: true, approval: item });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Users and API tokens (admin). Tokens are only shown once, when created.
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ roles: users.ROLES, users: users.list() });
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const user = await users.create(req.body || {});
+    logger.info(`👤 User ${user.username} (${user.role}) added by ${req.user.username}`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// { role, password } — either signs the user out of existing sessions
+app.put('/api/users/:username', requireAdmin, async (req, res) => {
+  const { role, password } = req.body || {};
+  try {
+    const user = await users.update(req.params.username, { role, password });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    logger.info(`👤 User ${user.username} updated by ${req.user.username}${role ? ` — role ${user.role}` : ''}${password ? ' — new password' : ''}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requireAdmin, (req, res) => {
+  try {
+    const user = users.remove(req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    logger.info(`👤 User ${user.username} removed by ${req.user.username}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/:username/tokens', requireAdmin, (req, res) => {
+  const token = users.createToken(req.params.username, req.body && req.body.label);
+  if (!token) return res.status(404).json({ error: 'User not found' });
+  logger.info(`🎟️ API token ${token.id} created for ${token.username} by ${req.user.username}`);
+  res.status(201).json({ success: true, ...token });
+});
+
+app.delete('/api/users/:username/tokens/:id', requireAdmin, (req, res) => {
+  const user = users.get(req.params.username);
+  if (!user || !user.tokens.some(t => t.id === req.params.id)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  const token = users.revokeToken(req.params.id);
+  logger.info(`🎟️ API token ${token.id} (${token.label}) for ${token.username} revoked by ${req.user.username}`);
+  res.json({ success: true, token });
+});
+
+// Control log — who changed what. ?date=YYYY-MM-DD or ?from=&to=, plus ?user=
+app.get('/api/control-log', requireAdmin, (req, res) => {
+  const { date, user } = req.query;
+  const from = req.query.from || date || api.todayLoadEntry();
+  const to = req.query.to || date || from;
+  try {
+    const records = controllog.query({ from, to, user });
+    res.json({ from, to, count: records.length, records });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Signed links from the alert email. They need a login like the rest of the
+// app, and the decision is recorded under the logged-in user. GET only shows a
+// confirmation form so mail scanners that prefetch links can't decide anything.
+app.get('/approvals/:id/:decision', (req, res) => {
+  const { id, decision } = req.params;
+  const { exp, sig } = req.query;
+  if (!approvals.verify(id, decision, exp, sig)) {
+    return res.status(403).send(dashboard.renderApprovalPage({ error: 'This link is invalid or has expired.' }));
+  }
+  const item = approvals.get(id);
+  if (!item) return res.status(404).send(dashboard.renderApprovalPage({ error: 'This approval item no longer exists.' }));
+  if (!users.hasRole(req.user, 'operator')) {
+    return res.status(403).send(dashboard.renderApprovalPage({ error: `Deciding approvals needs the operator role (you are ${req.user.role}).` }));
+  }
+  res.send(dashboard.renderApprovalPage({ item, decision, exp, sig, user: req.user }));
+});
+
+app.post('/approvals/:id/:decision', requireOperator, (req, res) => {
+  const { id, decision } = req.params;
+  const { exp, sig, note } = req.body || {};
+  if (!approvals.verify(id, decision, exp, sig)) {
+    return res.status(403).send(dashboard.renderApprovalPage({ error: 'This link is invalid or has expired.' }));
+  }
+  try {
+    const item = decideApproval(id, decision, access.actorName(req), 'email', note);
+    if (!item) return res.status(404).send(dashboard.renderApprovalPage({ error: 'This approval item no longer exists.' }));
+    res.send(dashboard.renderApprovalPage({ item, done: true }));
+  } catch (error) {
+    res.status(400).send(dashboard.renderApprovalPage({ item: approvals.get(id), error: error.message }));
+  }
+});
+
+// Web dashboard — the live parts come from /api/live
 app.get('/', (req, res) => {
-  const uptime = Math.floor((Date.now() - scanStats.startTime.getTime()) / 1000);
-  const uptimeHours = Math.floor(uptime / 3600);
-  const uptimeMinutes = Math.floor((uptime % 3600) / 60);
-  
-  res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Pallet Guard - Monitoring Dashboard</title>
-    <meta name="viewport" content="width=device-width, initial-scale=1">
-    <style>
-        body { font-family: monospace; background: #0a0f1a; color: #e8ecf1; margin: 20px; }
-        .header { color: #f0a030; font-size: 24px; margin-bottom: 20px; }
-        .status { display: flex; gap: 20px; margin-bottom: 20px; }
-        .card { background: #12161c; border: 1px solid #2a3140; border-radius: 8px; padding: 15px; }
-        .metric { font-size: 18px; color: #f0a030; }
-        .label { color: #8895a7; font-size: 12px; }
-        .ok { color: #2dd4a0; }
-        .warn { color: #f0a030; }
-        .error { color: #ef4444; }
-        .actions { margin-top: 20px; }
-        button { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-right: 10px; }
-        button:hover { background: #3a4555; }
-        .recent-data { margin-top: 20px; }
-        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
-        th, td { padding: 8px; text-align: left; border-bottom: 1px solid #2a3140; }
-        th { color: #f0a030; }
-        .refresh { position: fixed; top: 20px; right: 20px; }
-    </style>
-    <script>
-        function refresh() { location.reload(); }
-        setInterval(refresh, 30000); // Auto-refresh every 30s
-        
-        async function apiCall(endpoint, method = 'GET') {
-            const response = await fetch('/api/' + endpoint, { method });
-            const result = await response.json();
-            alert(JSON.stringify(result, null, 2));
-            setTimeout(refresh, 1000);
-        }
-    </script>
-</head>
-<body>
-    <div class="header">🛡️ PALLET GUARD MONITORING</div>
-    
-    <div class="status">
-        <div class="card">
-            <div class="metric ${apexToken && loadEntryToken ? 'ok' : 'error'}">${apexToken && loadEntryToken ? 'AUTHENTICATED' : 'NOT AUTHENTICATED'}</div>
-            <div class="label">Authentication Status</div>
-        </div>
-        
-        <div class="card">
-            <div class="metric ${isScanning ? 'ok' : 'warn'}">${isScanning ? 'SCANNING' : 'STOPPED'}</div>
-            <div class="label">Scanner Status</div>
-        </div>
-        
-        <div class="card">
-            <div class="metric">${uptimeHours}h ${uptimeMinutes}m</div>
-            <div class="label">Uptime</div>
-        </div>
-        
-        <div class="card">
-            <div class="metric">${scanStats.successfulScans}/${scanStats.totalScans}</div>
-            <div class="label">Successful Scans</div>
-        </div>
-    </div>
-    
-    ${lastScanResult ? `
-    <div class="card recent-data">
-        <h3>Last Scan Results</h3>
-        <p><strong>Time:</strong> ${new Date(lastScanResult.timestamp).toLocaleString()}</p>
-        <p><strong>PO Count:</strong> ${lastScanResult.poCount} | <strong>Over Limit:</strong> ${lastScanResult.overCount} | <strong>Cancelled:</strong> ${lastScanResult.cancelledCount}</p>
-        <p><strong>Actions Taken:</strong> ${lastScanResult.actions}</p>
-    </div>
-    ` : ''}
-    
-    ${scanStats.lastError ? `
-    <div class="card">
-        <h3 class="error">Last Error</h3>
-        <p>${scanStats.lastError}</p>
-    </div>
-    ` : ''}
-    
-    <div class="actions">
-        <button onclick="apiCall('auth', 'POST')">Re-Authenticate</button>
-        <button onclick="apiCall('scan/start', 'POST')">Start Scanner</button>
-        <button onclick="apiCall('scan/stop', 'POST')">Stop Scanner</button>
-        <button onclick="refresh()">Refresh</button>
-    </div>
-    
-    <button class="refresh" onclick="refresh()">🔄 Refresh</button>
-</body>
-</html>
-  `);
+  const selectedSite = configuredSites.some(s => s.id === req.query.site) ? req.query.site : null;
+
+  res.send(dashboard.render({
+    mode: scanner.getMode(),
+    sites: configuredSites.map(sites.describe),
+    selectedSite,
+    today: api.todayLoadEntry(),
+    yesterday: digest.previousDateKey(api.todayLoadEntry()),
+    exemptions: exemptions.list(),
+    approvals: approvals.list({ status: 'pending' }),
+    cancellations: audit.query({ from: api.todayLoadEntry(), type: 'cancelled', site: selectedSite }),
+    modes: scanner.MODES,
+    user: req.user,
+    csrfToken: req.user.csrf
+  }));
+});
+
+app.get('/analytics', (req, res) => {
+  const selectedSite = configuredSites.some(s => s.id === req.query.site) ? req.query.site : null;
+  const view = {
+    sites: configuredSites.map(sites.describe),
+    selectedSite,
+    repeatMinDays: analytics.REPEAT_MIN_DAYS,
+    trendHorizonWeeks: analytics.TREND_HORIZON_WEEKS,
+    user: req.user,
+    csrfToken: req.user.csrf
+  };
+  try {
+    res.send(dashboard.renderAnalyticsPage({ ...view, report: analyticsFor({ ...req.query, site: selectedSite }) }));
+  } catch (error) {
+    res.status(400).send(dashboard.renderAnalyticsPage({ ...view, error: error.message }));
+  }
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  log('🛑 Received SIGINT - shutting down gracefully...');
+  logger.info('🛑 Received SIGINT - shutting down gracefully...');
   
   cancelAutoRecovery();
   stopScanning();
   
   try {
     await auth.closeBrowser();
-    log('✅ Browser closed');
+    logger.info('✅ Browser closed');
   } catch (e) {
-    log(`⚠️ Error closing browser: ${e.message}`);
+    logger.warn(`⚠️ Error closing browser: ${e.message}`);
   }
   
-  log('👋 Pallet Guard service stopped');
+  logger.info('👋 Pallet Guard service stopped');
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  log('🛑 Received SIGTERM - shutting down gracefully...');
+  logger.info('🛑 Received SIGTERM - shutting down gracefully...');
   cancelAutoRecovery();
   stopScanning();
   await auth.closeBrowser();
@@ -417,27 +1292,42 @@ process.on('SIGTERM', async () => {
 
 // Auto-start
 async function main() {
-  const port = process.env.PORT || 3000;
-  
-  app.listen(port, () => {
-    log(`🌐 Web dashboard running on http://localhost:${port}`);
-    log('🛡️ Pallet Guard Headless Service v1.0.0');
-    log('📧 Email alerts configured for: ' + (process.env.NOTIFY_EMAIL || 'NOT SET'));
-    log('🏢 Monitoring subdepts: 85, 86');
+  app.listen(PORT, () => {
+    logger.info(`🌐 Web dashboard running on http://localhost:${PORT}`);
+    logger.info('🛡️ Pallet Guard Headless Service v1.0.0');
+    for (const site of configuredSites) {
+      logger.info(`🏢 Monitoring ${site.name}: subdepts ${site.subdepts.join(', ')} — alerts to ${site.notify.join(', ') || 'NOT SET'}`);
+    }
+    for (const ch of notifier.getChannels()) {
+      logger.info(`📣 Notify via ${ch.id} (${ch.type}): ${Array.isArray(ch.events) ? ch.events.join(', ') : 'all events'}`);
+    }
+    logger.info(`🎚️ Scan mode: ${scanner.getMode()}${scanner.getMode() === 'shadow' ? ' (no payments will be voided)' : ''}`);
+    logger.info(`📋 Shift digest: ${DIGEST_ENABLED ? 'daily at the 2:00 AM boundary' : 'disabled'}`);
+    logger.info(`🚨 Down alerts: reminders ${outages.REMINDER_MINUTES ? `every ${outages.REMINDER_MINUTES} min` : 'off'}, escalation ${outages.ESCALATE_TO.length ? `to ${outages.ESCALATE_TO.join(', ')} after ${outages.ESCALATE_AFTER_MINUTES} min` : 'not configured'}`);
+    if (users.count() === 0) {
+      logger.warn('⚠️ No dashboard users yet — create an admin with: node manage-users.js add <username> --role admin');
+    }
+    if (scanner.getMode() === 'approval') {
+      logger.info(`⏸️ Voids wait for approval — unanswered after ${approvals.TIMEOUT_MINUTES} min: ${approvals.TIMEOUT_ACTION}`);
+    }
   });
 
+  // Restore today's voided/alerted state before the first scan
+  scanner.currentState();
+  // Seed the dashboard's action feed with what already happened today
+  for (const record of audit.query({ from: api.todayLoadEntry() }).slice(-50)) live.action(record);
+  outbox.start();
+  watchOutage();
+  watchTokenExpiry();
+  if (DIGEST_ENABLED) scheduleDigest();
+
   // Auto-authenticate and start scanning
   const authSuccess = await authenticate();
   if (authSuccess) {
     startScanning();
   } else {
-    log('❌ Initial authentication failed — starting auto-recovery');
-    try {
-      await notifier.sendDownAlert('Initial authentication failed on service startup — auto-recovery started', scanStats.lastAuthScreenshot);
-      log('📧 Down alert email sent');
-    } catch (e) {
-      log(`⚠️ Down alert email failed: ${e.message}`);
-    }
+    logger.error('❌ Initial authentication failed — starting auto-recovery');
+    reportDown('Initial authentication failed on service startup — auto-recovery started', scanStats.lastAuthScreenshot);
     startAutoRecovery('initial auth failed');
   }
 }
@@ -445,7 +1335,7 @@ async function main() {
 // Start the service
 if (require.main === module) {
   main().catch(error => {
-    log(`💥 Fatal error: ${error.message}`);
+    logger.error(`💥 Fatal error: ${error.message}`);
     process.exit(1);
   });
 }
@@ -0,0 +1,71 @@
+// Manage the encrypted secrets file used by SECRETS_PROVIDER=file
+// (SECRETS_FILE, default data/secrets.enc). Needs SECRETS_MASTER_KEY or
+// SECRETS_MASTER_KEY_FILE, from the environment or .env.
+//
+//   node manage-secrets.js list                  names only, never values
+//   node manage-secrets.js set NAME [value]      prompts for the value if left out
+//   node manage-secrets.js unset NAME
+//   node manage-secrets.js import-env [file]     copy PASSWORD/SECRET/TOKEN/KEY
+//                                                entries from .env into the file
+//
+// A running service picks up changes with POST /api/secrets/rotate.
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const secrets = require('./src/secrets');
+
+const SECRET_NAME = /(PASSWORD|SECRET|TOKEN|_KEY)$/;
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer); }));
+}
+
+async function main(command, args) {
+  const values = { ...secrets.readFile() };
+
+  if (command === 'list') {
+    const names = Object.keys(values).sort();
+    console.log(names.length ? names.join('\n') : `(no secrets in ${secrets.SECRETS_FILE})`);
+    return;
+  }
+
+  if (command === 'set') {
+    const [name, given] = args;
+    if (!name) throw new Error('Usage: set NAME [value]');
+    const value = given !== undefined ? given : await prompt(`${name}: `);
+    if (!value) throw new Error('Empty value — nothing saved');
+    values[name] = value;
+    secrets.writeFile(values);
+    console.log(`Saved ${name} to ${secrets.SECRETS_FILE}`);
+    return;
+  }
+
+  if (command === 'unset') {
+    const [name] = args;
+    if (!(name in values)) throw new Error(`${name} is not in ${secrets.SECRETS_FILE}`);
+    delete values[name];
+    secrets.writeFile(values);
+    console.log(`Removed ${name}`);
+    return;
+  }
+
+  if (command === 'import-env') {
+    const file = args[0] || '.env';
+    const parsed = require('dotenv').parse(fs.readFileSync(file));
+    const names = Object.keys(parsed).filter(name => SECRET_NAME.test(name) && parsed[name]
+      && !name.startsWith('SECRETS_MASTER'));
+    for (const name of names) values[name] = parsed[name];
+    secrets.writeFile(values);
+    console.log(`Imported ${names.length} secret(s) from ${file}: ${names.join(', ')}`);
+    console.log(`Remove them from ${file} once the service runs with SECRETS_PROVIDER=file.`);
+    return;
+  }
+
+  throw new Error('Usage: node manage-secrets.js list | set NAME [value] | unset NAME | import-env [file]');
+}
+
+main(process.argv[2], process.argv.slice(3)).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
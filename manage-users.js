@@ -0,0 +1,93 @@
+// Manage dashboard / API users (data/users.json) on the server.
+//
+//   node manage-users.js list
+//   node manage-users.js add USERNAME [--role viewer|operator|admin]   prompts for a password
+//   node manage-users.js passwd USERNAME                               prompts for a password
+//   node manage-users.js role USERNAME ROLE
+//   node manage-users.js remove USERNAME
+//   node manage-users.js token create USERNAME [label]                 prints the token once
+//   node manage-users.js token revoke TOKEN_ID
+//
+// Password and role changes sign the user out of the dashboard. A running
+// service picks up changes on its next request.
+require('dotenv').config();
+const readline = require('readline');
+const users = require('./src/users');
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer); }));
+}
+
+async function newPassword(username) {
+  const password = await prompt(`Password for ${username}: `);
+  if ((await prompt('Again: ')) !== password) throw new Error('Passwords do not match');
+  return password;
+}
+
+function option(args, name, fallback) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+async function main(command, args) {
+  if (command === 'list') {
+    const list = users.list();
+    if (!list.length) return console.log('(no users)');
+    for (const u of list) {
+      console.log(`${u.username.padEnd(24)} ${u.role.padEnd(9)} tokens: ${u.tokens.map(t => `${t.id} (${t.label})`).join(', ') || '-'}`);
+    }
+    return;
+  }
+
+  const [username] = args;
+  if (command === 'add') {
+    if (!username) throw new Error('Usage: add USERNAME [--role viewer|operator|admin]');
+    const role = option(args, 'role', 'viewer');
+    const user = await users.create({ username, role, password: await newPassword(username) });
+    console.log(`Added ${user.username} (${user.role})`);
+    return;
+  }
+
+  if (command === 'passwd') {
+    if (!users.get(username)) throw new Error(`No user "${username}"`);
+    await users.update(username, { password: await newPassword(username) });
+    console.log(`Password changed for ${username}`);
+    return;
+  }
+
+  if (command === 'role') {
+    const user = await users.update(username, { role: args[1] });
+    if (!user) throw new Error(`No user "${username}"`);
+    console.log(`${user.username} is now ${user.role}`);
+    return;
+  }
+
+  if (command === 'remove') {
+    if (!users.remove(username)) throw new Error(`No user "${username}"`);
+    console.log(`Removed ${username}`);
+    return;
+  }
+
+  if (command === 'token' && args[0] === 'create') {
+    const token = users.createToken(args[1], args[2]);
+    if (!token) throw new Error(`No user "${args[1]}"`);
+    console.log(`Token ${token.id} for ${token.username} (${token.role}) — store it now, it won't be shown again:`);
+    console.log(token.token);
+    return;
+  }
+
+  if (command === 'token' && args[0] === 'revoke') {
+    const token = users.revokeToken(args[1]);
+    if (!token) throw new Error(`No token "${args[1]}"`);
+    console.log(`Revoked token ${token.id} (${token.label}) for ${token.username}`);
+    return;
+  }
+
+  throw new Error('Usage: node manage-users.js list | add USERNAME [--role ROLE] | passwd USERNAME | role USERNAME ROLE | remove USERNAME | token create USERNAME [label] | token revoke TOKEN_ID');
+}
+
+main(process.argv[2], process.argv.slice(3)).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
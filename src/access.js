@@ -0,0 +1,223 @@
+/**
+ * Access control for the web app — who is calling and what they may do.
+ *
+ * identify() runs on every request and sets req.user from, in order:
+ *   - Authorization: Bearer pgt_... — an API token (users.js), for scripts
+ *   - Authorization: Bearer <ADMIN_TOKEN> — break-glass admin (secrets.js)
+ *   - the pg_session cookie set at login: HMAC-signed { username, issuedAt, sid },
+ *     good for WEB_SESSION_HOURS (default 12) or until the user's password or
+ *     role changes
+ * requireRole(role) answers 401 (pages redirect to /login) or 403. Cookie
+ * sessions must also send their CSRF token (X-CSRF-Token header or a _csrf
+ * form field) on anything but GET/HEAD; bearer tokens can't be sent by another
+ * site, so they don't need one. recordControl() writes every change to the
+ * control log with the user who made it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const users = require('./users');
+const secrets = require('./secrets');
+const controllog = require('./controllog');
+
+const COOKIE_NAME = 'pg_session';
+const SESSION_HOURS = parseInt(process.env.WEB_SESSION_HOURS, 10) || 12;
+const SECRET_FILE = path.join(store.DATA_DIR, 'cookie-secret');
+const SECURE_COOKIE = /^https:/i.test(process.env.PUBLIC_URL || '');
+const MAX_LOGIN_FAILURES = 5;
+const LOCKOUT_MINUTES = 15;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let secret = null;
+const loginFailures = new Map(); // username|ip → { count, lockedUntil }
+
+// HMAC key for session cookies: COOKIE_SECRET, or a random key kept in the data dir
+function getSecret() {
+  if (!secret) {
+    if (secrets.get('COOKIE_SECRET')) {
+      secret = secrets.get('COOKIE_SECRET');
+    } else if (fs.existsSync(SECRET_FILE)) {
+      secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    } else {
+      secret = crypto.randomBytes(32).toString('hex');
+      store.ensureDir(path.dirname(SECRET_FILE));
+      fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    }
+  }
+  return secret;
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function csrfToken(sid) {
+  return hmac(`csrf:${sid}`);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function readSession(value) {
+  if (!value) return null;
+  const [payload, signature] = value.split('.');
+  if (!payload || !safeEqual(signature, hmac(payload))) return null;
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (Date.now() - session.issuedAt > SESSION_HOURS * 3600000) return null;
+  if (!users.sessionValid(session.username, session.issuedAt)) return null;
+  return session;
+}
+
+function identify(req, res, next) {
+  req.user = null;
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    const token = bearer[1].trim();
+    const found = users.verifyToken(token);
+    if (found) {
+      req.user = { ...found.user, via: 'token', tokenId: found.tokenId };
+    } else if (secrets.get('ADMIN_TOKEN') && safeEqual(token, secrets.get('ADMIN_TOKEN'))) {
+      req.user = { username: 'admin-token', role: 'admin', via: 'admin-token' };
+    }
+    return next();
+  }
+
+  const session = readSession(readCookie(req, COOKIE_NAME));
+  const user = session && users.get(session.username);
+  if (user) req.user = { ...user, via: 'session', csrf: csrfToken(session.sid) };
+  next();
+}
+
+function wantsPage(req) {
+  return req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (wantsPage(req)) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      return res.status(401).json({
+        error: users.count() ? 'Log in or send an API token (Authorization: Bearer ...)' : 'No users yet — create an admin with: node manage-users.js add <username> --role admin'
+      });
+    }
+    if (!users.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Needs the ${role} role (you are ${req.user.role})` });
+    }
+    if (req.user.via === 'session' && !SAFE_METHODS.includes(req.method)) {
+      const sent = req.get('x-csrf-token') || (req.body && req.body._csrf);
+      if (!safeEqual(sent, req.user.csrf)) return res.status(403).json({ error: 'Missing or invalid CSRF token — reload the page' });
+    }
+    next();
+  };
+}
+
+// The name to record as the person acting (approvals, reversals, exemptions)
+function actorName(req, fallback) {
+  if (!req.user || req.user.via === 'admin-token') return fallback || (req.user && req.user.username) || null;
+  return req.user.username;
+}
+
+// --- login ---
+
+function throttleKey(req, username) {
+  return `${String(username || '').toLowerCase()}|${req.ip}`;
+}
+
+// Minutes until a locked-out username/IP may try again, or 0
+function lockedFor(req, username) {
+  const entry = loginFailures.get(throttleKey(req, username));
+  if (!entry || !entry.lockedUntil || entry.lockedUntil < Date.now()) return 0;
+  return Math.ceil((entry.lockedUntil - Date.now()) / 60000);
+}
+
+/**
+ * Check a username/password and set the session cookie.
+ * @returns {Promise<{ user } | { error }>}
+ */
+async function login(req, res, username, password) {
+  const key = throttleKey(req, username);
+  const locked = lockedFor(req, username);
+  if (locked) return { error: `Too many failed logins — try again in ${locked} min` };
+
+  const user = await users.verifyPassword(username, password);
+  if (!user) {
+    const entry = loginFailures.get(key) || { count: 0, lockedUntil: null };
+    entry.count++;
+    if (entry.count >= MAX_LOGIN_FAILURES) {
+      entry.count = 0;
+      entry.lockedUntil = Date.now() + LOCKOUT_MINUTES * 60000;
+    }
+    loginFailures.set(key, entry);
+    return { error: 'Wrong username or password' };
+  }
+
+  loginFailures.delete(key);
+  const payload = Buffer.from(JSON.stringify({
+    username: user.username,
+    issuedAt: Date.now(),
+    sid: crypto.randomBytes(16).toString('base64url')
+  })).toString('base64url');
+  res.setHeader('Set-Cookie', cookie(`${payload}.${hmac(payload)}`, SESSION_HOURS * 3600));
+  return { user };
+}
+
+function logout(res) {
+  res.setHeader('Set-Cookie', cookie('', 0));
+}
+
+function cookie(value, maxAge) {
+  return `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${SECURE_COOKIE ? '; Secure' : ''}`;
+}
+
+// Only local paths, so ?next= can't send someone to another site
+function safeNext(next) {
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/';
+}
+
+// --- control log ---
+
+function recordControl(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+  res.on('finish', () => {
+    controllog.record({
+      user: req.user ? req.user.username : (req.loginAttempt || null),
+      role: req.user ? req.user.role : null,
+      via: req.user ? req.user.via : 'anonymous',
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      detail: req.body && Object.keys(req.body).length ? req.body : undefined
+    });
+  });
+  next();
+}
+
+module.exports = {
+  SESSION_HOURS,
+  identify,
+  requireRole,
+  actorName,
+  login,
+  logout,
+  safeNext,
+  recordControl
+};
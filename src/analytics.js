@@ -0,0 +1,223 @@
+/**
+ * Analytics — carrier and truck trends across weeks of daily snapshots, for
+ * carrier scorecards.
+ *
+ * Built from the daily PO snapshots (data/scans, see snapshots.js) and the
+ * audit trail (voids and their amounts). build({ from, to, site }) returns:
+ *   carriers — per carrier: POs, pallets in, restacks/upstacks, restack ratio
+ *              (restacks ÷ pallets in), POs over the limit, voids, and the same
+ *              week by week
+ *   voids    — voided payments per week: count, amount and how many were reversed
+ *   trucks   — repeat offenders: trucks over the limit on REPEAT_MIN_DAYS or more
+ *              days. Load Entry pays drivers by truck, so the truck ID stands in
+ *              for the driver.
+ *   trends   — carriers whose weekly restack ratio is climbing towards 1.0 (where
+ *              the default rule starts voiding) and would reach it within
+ *              TREND_HORIZON_WEEKS at the current pace, judged on a least-squares
+ *              line through at least TREND_MIN_WEEKS weeks
+ *
+ * Weeks start on Monday and are keyed by that date. Past days are read once
+ * and cached; a backfill that rewrites a past day's snapshot calls
+ * invalidate(dateKey) so the next build reads it again.
+ */
+
+const snapshots = require('./snapshots');
+const audit = require('./audit');
+const digest = require('./digest');
+const api = require('./api');
+
+const DEFAULT_WEEKS = 12;
+const REPEAT_MIN_DAYS = 2;
+const TREND_MIN_WEEKS = 3;
+const TREND_HORIZON_WEEKS = 8;
+const VOID_RATIO = 1;
+const MAX_CACHED_DAYS = 400;
+
+const OVER_STATUSES = digest.OVER_STATUSES;
+
+const dayCache = new Map(); // dateKey → reduced rows
+
+function formatDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// The Monday of dateKey's week
+function weekOf(dateKey) {
+  const d = new Date(`${dateKey}T00:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return formatDate(d);
+}
+
+function ratio(restacks, pallets) {
+  return pallets ? Math.round(restacks / pallets * 1000) / 1000 : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Just what the analytics need from one day's snapshot
+function dayRows(dateKey) {
+  if (dayCache.has(dateKey)) return dayCache.get(dateKey);
+  const rows = snapshots.load(dateKey).map(row => ({
+    site: row.site || null,
+    carrier: row.carrier || 'Unknown',
+    truckId: row.truckId || null,
+    palletsIn: Number(row.palletsIn) || 0,
+    restacks: Number(row.restacksUpstacks) || 0,
+    over: OVER_STATUSES.includes(row.status)
+  }));
+  if (dateKey < api.todayLoadEntry()) {
+    if (dayCache.size >= MAX_CACHED_DAYS) dayCache.clear();
+    dayCache.set(dateKey, rows);
+  }
+  return rows;
+}
+
+// Forget a cached day, after its snapshot was rewritten
+function invalidate(dateKey) {
+  dayCache.delete(dateKey);
+}
+
+function emptyTotals() {
+  return { pos: 0, palletsIn: 0, restacks: 0, overPos: 0, voids: 0, voidedAmount: 0 };
+}
+
+function finishTotals(t) {
+  return { ...t, voidedAmount: round2(t.voidedAmount), ratio: ratio(t.restacks, t.palletsIn), overRate: t.pos ? round2(t.overPos / t.pos) : null };
+}
+
+// Least-squares slope and the fitted value at the last point, x in weeks
+function fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((s, p) => s + p.x, 0) / n;
+  const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) ** 2;
+  }
+  const slope = den ? num / den : 0;
+  return { slope, last: meanY + slope * (points[n - 1].x - meanX) };
+}
+
+function trendFor(carrier) {
+  const points = carrier.weeks
+    .map((w, i) => ({ x: i, y: w.ratio }))
+    .filter(p => p.y !== null);
+  if (points.length < TREND_MIN_WEEKS) return null;
+  const { slope, last } = fitLine(points);
+  const current = points[points.length - 1].y;
+  const weeksToLimit = slope > 0 ? Math.max(0, (VOID_RATIO - last) / slope) : null;
+  return {
+    carrier: carrier.carrier,
+    current,
+    slopePerWeek: Math.round(slope * 1000) / 1000,
+    weeksToLimit: weeksToLimit === null ? null : Math.round(weeksToLimit * 10) / 10,
+    rising: slope > 0 && current < VOID_RATIO && weeksToLimit <= TREND_HORIZON_WEEKS,
+    ratios: carrier.weeks.map(w => w.ratio)
+  };
+}
+
+/**
+ * Analytics for operational dates from..to (default: the `weeks` weeks up to
+ * today), optionally for one site. Ranges are capped like audit queries (93 days).
+ */
+function build({ from, to, site, weeks = DEFAULT_WEEKS } = {}) {
+  to = to || api.todayLoadEntry();
+  if (!from) {
+    const d = new Date(`${to}T00:00:00`);
+    d.setDate(d.getDate() - weeks * 7 + 1);
+    from = formatDate(d);
+  }
+  const dateKeys = audit.dateKeysBetween(from, to);
+  const weekKeys = [...new Set(dateKeys.map(weekOf))];
+
+  const carriers = {};
+  const trucks = {};
+  const carrierEntry = name => carriers[name] || (carriers[name] = {
+    carrier: name,
+    totals: emptyTotals(),
+    weeks: Object.fromEntries(weekKeys.map(w => [w, emptyTotals()]))
+  });
+
+  for (const dateKey of dateKeys) {
+    const week = weekOf(dateKey);
+    for (const row of dayRows(dateKey)) {
+      if (site && row.site !== site) continue;
+      const entry = carrierEntry(row.carrier);
+      for (const t of [entry.totals, entry.weeks[week]]) {
+        t.pos++;
+        t.palletsIn += row.palletsIn;
+        t.restacks += row.restacks;
+        if (row.over) t.overPos++;
+      }
+      if (!row.truckId) continue;
+      const truck = trucks[row.truckId] || (trucks[row.truckId] = {
+        truckId: row.truckId, carriers: new Set(), pos: 0, overPos: 0, overDays: new Set(), restacks: 0, palletsIn: 0, voids: 0
+      });
+      truck.carriers.add(row.carrier);
+      truck.pos++;
+      truck.restacks += row.restacks;
+      truck.palletsIn += row.palletsIn;
+      if (row.over) {
+        truck.overPos++;
+        truck.overDays.add(dateKey);
+      }
+    }
+  }
+
+  const voidWeeks = Object.fromEntries(weekKeys.map(w => [w, { week: w, count: 0, amount: 0, reversed: 0 }]));
+  for (const rec of audit.query({ from, to, type: 'cancelled', site })) {
+    const week = voidWeeks[weekOf(rec.date)];
+    if (rec.reversal) {
+      week.reversed++;
+      continue;
+    }
+    const amount = digest.checkoutAmount(rec.checkout) || 0;
+    week.count++;
+    week.amount += amount;
+    const entry = carrierEntry(rec.carrier || 'Unknown');
+    for (const t of [entry.totals, entry.weeks[weekOf(rec.date)]]) {
+      t.voids++;
+      t.voidedAmount += amount;
+    }
+    if (trucks[rec.truckId]) trucks[rec.truckId].voids++;
+  }
+
+  const carrierList = Object.values(carriers)
+    .map(c => ({
+      carrier: c.carrier,
+      ...finishTotals(c.totals),
+      weeks: weekKeys.map(w => ({ week: w, ...finishTotals(c.weeks[w]) }))
+    }))
+    .sort((a, b) => b.overPos - a.overPos || b.pos - a.pos);
+
+  return {
+    from,
+    to,
+    site: site || null,
+    weeks: weekKeys,
+    carriers: carrierList,
+    voids: Object.values(voidWeeks).map(w => ({ ...w, amount: round2(w.amount) })),
+    trucks: Object.values(trucks)
+      .filter(t => t.overDays.size >= REPEAT_MIN_DAYS)
+      .map(t => ({
+        truckId: t.truckId,
+        carriers: [...t.carriers],
+        pos: t.pos,
+        overPos: t.overPos,
+        overDays: t.overDays.size,
+        lastOver: [...t.overDays].sort().pop(),
+        voids: t.voids,
+        ratio: ratio(t.restacks, t.palletsIn)
+      }))
+      .sort((a, b) => b.overDays - a.overDays || b.overPos - a.overPos),
+    trends: carrierList.map(trendFor)
+      .filter(t => t && t.rising)
+      .sort((a, b) => a.weeksToLimit - b.weeksToLimit)
+  };
+}
+
+module.exports = { DEFAULT_WEEKS, REPEAT_MIN_DAYS, TREND_HORIZON_WEEKS, build, invalidate, weekOf };
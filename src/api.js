@@ -1,34 +1,71 @@
+const metrics = require('./metrics');
+
 const APEX_API = 'https://siteadminsso.capstonelogistics.com/api/';
 const LE_API = 'https://apexloadentryapi.capstonelogistics.com/api/';
 
+const apiLatency = metrics.histogram(
+  'pallet_guard_api_request_duration_seconds',
+  'Capstone API request latency by API, endpoint and HTTP status',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+
+// Errors carry `source` ('apex' | 'loadentry') so a 401 can be traced to the
+// token that failed, and `status` when the API answered
+function apiError(source, message, status) {
+  const err = new Error(message);
+  err.source = source;
+  if (status) err.status = status;
+  return err;
+}
+
+// The endpoint with dates and IDs taken out, so each route is one label value
+function routeLabel(endpoint) {
+  return endpoint.split('/').filter(Boolean)
+    .map(part => (/^\d{2,4}-\d{2}-\d{2,4}$/.test(part) ? ':date' : /\d/.test(part) ? ':id' : part))
+    .join('/');
+}
+
+// fetch() with its latency and status recorded for /metrics
+function timedFetch(source, base, endpoint, options) {
+  const labels = { api: source, method: options.method || 'GET', endpoint: routeLabel(endpoint) };
+  return metrics.time(apiLatency, labels, () => fetch(base + endpoint, options),
+    (err, res) => ({ status: res ? res.status : 'network_error' }));
+}
+
 async function fetchApex(endpoint, token) {
-  const res = await fetch(APEX_API + endpoint, {
+  const res = await timedFetch('apex', APEX_API, endpoint, {
     headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' }
   });
-  if (res.status === 401) { const err = new Error('Apex auth expired (401)'); err.status = 401; throw err; }
-  if (!res.ok) throw new Error(`Apex API ${res.status}: ${endpoint}`);
+  if (res.status === 401) throw apiError('apex', 'Apex auth expired (401)', 401);
+  if (!res.ok) throw apiError('apex', `Apex API ${res.status}: ${endpoint}`, res.status);
   const text = await res.text();
-  try { return JSON.parse(text); } catch (e) { throw new Error(`Apex API bad JSON for ${endpoint}: ${text.substring(0, 200)}`); }
+  try { return JSON.parse(text); } catch (e) { throw apiError('apex', `Apex API bad JSON for ${endpoint}: ${text.substring(0, 200)}`); }
 }
 
 async function fetchLoadEntry(endpoint, token) {
-  const res = await fetch(LE_API + endpoint, {
+  const res = await timedFetch('loadentry', LE_API, endpoint, {
     headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' }
   });
-  if (res.status === 401) { const err = new Error('Load Entry auth expired (401)'); err.status = 401; throw err; }
-  if (!res.ok) throw new Error(`LE API ${res.status}: ${endpoint}`);
+  if (res.status === 401) throw apiError('loadentry', 'Load Entry auth expired (401)', 401);
+  if (!res.ok) throw apiError('loadentry', `LE API ${res.status}: ${endpoint}`, res.status);
   const text = await res.text();
-  try { return JSON.parse(text); } catch (e) { throw new Error(`LE API bad JSON for ${endpoint}: ${text.substring(0, 200)}`); }
+  try { return JSON.parse(text); } catch (e) { throw apiError('loadentry', `LE API bad JSON for ${endpoint}: ${text.substring(0, 200)}`); }
+}
+
+// Full checkout record (amount, driver, line items) — kept before voiding so a
+// mistaken void can be reversed by the payments team.
+async function getDriverWalletCheckout(checkoutID, token) {
+  return fetchLoadEntry(`payment/driverwallet/checkout/${checkoutID}`, token);
 }
 
 async function voidDriverWalletCheckout(checkoutID, token) {
-  const res = await fetch(LE_API + `payment/driverwallet/checkout/void/${checkoutID}`, {
+  const res = await timedFetch('loadentry', LE_API, `payment/driverwallet/checkout/void/${checkoutID}`, {
     method: 'DELETE',
     headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/json' }
   });
-  if (res.status === 401) { const err = new Error('Load Entry auth expired'); err.status = 401; throw err; }
-  if (!res.ok) throw new Error(`Void failed ${res.status}`);
-  return true;
+  if (res.status === 401) throw apiError('loadentry', 'Load Entry auth expired', 401);
+  if (!res.ok) throw apiError('loadentry', `Void failed ${res.status}`, res.status);
+  return { status: res.status };
 }
 
 function getOperationalDate() {
@@ -45,9 +82,15 @@ function todayApex() {
   return `${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}-${d.getFullYear()}`;
 }
 
+// YYYY-MM-DD (Load Entry, state files) → MM-DD-YYYY (Apex)
+function apexDate(dateKey) {
+  const [y, m, d] = dateKey.split('-');
+  return `${m}-${d}-${y}`;
+}
+
 function todayLoadEntry() {
   const d = getOperationalDate();
   return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
 }
 
-module.exports = { fetchApex, fetchLoadEntry, voidDriverWalletCheckout, todayApex, todayLoadEntry };
+module.exports = { fetchApex, fetchLoadEntry, getDriverWalletCheckout, voidDriverWalletCheckout, todayApex, todayLoadEntry, apexDate };
@@ -0,0 +1,247 @@
+/**
+ * Approval queue — over-limit payments held for a supervisor's decision.
+ *
+ * In approval mode (or for rules with action 'hold') the scanner queues a PO
+ * here instead of voiding it. A supervisor approves or rejects each item from
+ * the dashboard or from the signed links in the alert email. A link is good
+ * until the item times out, and deciding through it needs an operator login,
+ * so the decision is recorded under that user rather than a typed-in name. Approved items
+ * are voided by the scanner on its next cycle (if the PO is still over the
+ * limit); rejected items are released and never voided. An approved item from
+ * a past operational date — held by a backfill, or decided after the 2:00 AM
+ * rollover — is outside the live scan, so the next cycle re-scans its subdept
+ * for that date once (see approvedBefore / markRescanned).
+ *
+ * Unanswered items time out after APPROVAL_TIMEOUT_MINUTES and are then
+ * auto-voided or auto-released per APPROVAL_TIMEOUT_ACTION (void | release).
+ *
+ * The queue lives in data/approvals.json so it survives restarts. Every
+ * decision records who made it and how (dashboard, email link, timeout).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const audit = require('./audit');
+
+const APPROVALS_FILE = path.join(store.DATA_DIR, 'approvals.json');
+const SECRET_FILE = path.join(store.DATA_DIR, 'approval-secret');
+const TIMEOUT_MINUTES = parseInt(process.env.APPROVAL_TIMEOUT_MINUTES, 10) || 60;
+const TIMEOUT_ACTION = process.env.APPROVAL_TIMEOUT_ACTION === 'void' ? 'void' : 'release';
+const DECISIONS = ['approve', 'reject'];
+const KEEP_DECIDED_DAYS = 30;
+
+let items = null;
+let secret = null;
+
+function load() {
+  if (!items) {
+    items = fs.existsSync(APPROVALS_FILE)
+      ? JSON.parse(fs.readFileSync(APPROVALS_FILE, 'utf8'))
+      : [];
+  }
+  return items;
+}
+
+function persist() {
+  store.ensureDir(path.dirname(APPROVALS_FILE));
+  fs.writeFileSync(APPROVALS_FILE + '.tmp', JSON.stringify(items, null, 2));
+  fs.renameSync(APPROVALS_FILE + '.tmp', APPROVALS_FILE);
+}
+
+// HMAC key for email links: APPROVAL_SECRET, or a random key kept in the data dir
+function getSecret() {
+  if (!secret) {
+    if (process.env.APPROVAL_SECRET) {
+      secret = process.env.APPROVAL_SECRET;
+    } else if (fs.existsSync(SECRET_FILE)) {
+      secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    } else {
+      secret = crypto.randomBytes(32).toString('hex');
+      store.ensureDir(path.dirname(SECRET_FILE));
+      fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    }
+  }
+  return secret;
+}
+
+// exp: unix seconds the link stops working at
+function sign(id, decision, exp) {
+  return crypto.createHmac('sha256', getSecret()).update(`${id}:${decision}:${exp}`).digest('hex');
+}
+
+function verify(id, decision, exp, sig) {
+  if (!/^\d+$/.test(String(exp)) || Number(exp) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(sign(id, decision, exp));
+  const given = Buffer.from(String(sig || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function signedLink(baseUrl, item, decision) {
+  const exp = Math.floor(new Date(item.expiresAt).getTime() / 1000);
+  return `${baseUrl.replace(/\/$/, '')}/approvals/${item.id}/${decision}?exp=${exp}&sig=${sign(item.id, decision, exp)}`;
+}
+
+function get(id) {
+  return load().find(i => i.id === id) || null;
+}
+
+function findByCheckout(checkoutID) {
+  return load().find(i => i.driverWalletCheckoutID === checkoutID) || null;
+}
+
+function list({ status } = {}) {
+  const all = load();
+  return status ? all.filter(i => i.status === status) : all;
+}
+
+// Queue a held action; returns the new item.
+function enqueue(dateKey, action, snapshot) {
+  const now = new Date();
+  const item = {
+    id: crypto.randomUUID(),
+    date: dateKey,
+    status: 'pending',
+    site: action.site,
+    subDept: action.subDept,
+    poNumber: action.poNumber,
+    truckId: action.truckId,
+    carrier: action.carrier,
+    palletsIn: action.palletsIn,
+    restacksUpstacks: action.restacksUpstacks,
+    rule: action.rule,
+    reason: action.reason,
+    driverWalletCheckoutID: action.driverWalletCheckoutID,
+    snapshot,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + TIMEOUT_MINUTES * 60000).toISOString(),
+    decision: null,
+    decidedBy: null,
+    decidedVia: null,
+    decidedAt: null,
+    note: null,
+    voidedAt: null,
+    rescannedAt: null
+  };
+  load().push(item);
+  persist();
+  return item;
+}
+
+/**
+ * Record a supervisor decision on a pending item.
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} by - who decided
+ * @param {string} via - 'dashboard', 'email' or 'timeout'
+ */
+function decide(id, decision, by, via, note) {
+  if (!DECISIONS.includes(decision)) throw new Error(`decision must be ${DECISIONS.join(' or ')}`);
+  if (!by || !String(by).trim()) throw new Error('A name is required to record who decided');
+  const item = get(id);
+  if (!item) return null;
+  if (item.status !== 'pending') {
+    throw new Error(`Already ${item.status} by ${item.decidedBy} (${item.decidedVia})`);
+  }
+
+  item.status = decision === 'approve' ? 'approved' : 'rejected';
+  item.decision = decision;
+  item.decidedBy = String(by).trim();
+  item.decidedVia = via;
+  item.decidedAt = new Date().toISOString();
+  item.note = note || null;
+  persist();
+
+  if (item.status === 'rejected') {
+    audit.record(item.date, {
+      type: 'released',
+      site: item.site,
+      subDept: item.subDept,
+      poNumber: item.poNumber,
+      truckId: item.truckId,
+      carrier: item.carrier,
+      palletsIn: item.palletsIn,
+      restacksUpstacks: item.restacksUpstacks,
+      rule: item.rule,
+      driverWalletCheckoutID: item.driverWalletCheckoutID,
+      approval: approvalSummary(item),
+      snapshot: item.snapshot,
+      timestamp: item.decidedAt
+    });
+  }
+  return item;
+}
+
+// Resolve pending items past their deadline; returns the items resolved.
+// Decided items older than KEEP_DECIDED_DAYS are dropped (the audit trail keeps them).
+function expire(now = new Date()) {
+  const cutoff = now.getTime() - KEEP_DECIDED_DAYS * 86400000;
+  const kept = load().filter(i => i.status === 'pending' || new Date(i.decidedAt).getTime() > cutoff);
+  if (kept.length !== items.length) {
+    items = kept;
+    persist();
+  }
+
+  const resolved = [];
+  for (const item of load()) {
+    if (item.status === 'pending' && new Date(item.expiresAt) <= now) {
+      resolved.push(decide(item.id, TIMEOUT_ACTION === 'void' ? 'approve' : 'reject', 'system', 'timeout',
+        `No decision within ${TIMEOUT_MINUTES} minutes`));
+    }
+  }
+  return resolved;
+}
+
+function markVoided(id) {
+  const item = get(id);
+  if (item) {
+    item.voidedAt = new Date().toISOString();
+    persist();
+  }
+  return item;
+}
+
+// Approved items from operational dates before dateKey that still need their
+// date re-scanned to be voided
+function approvedBefore(dateKey) {
+  return load().filter(i => i.status === 'approved' && !i.voidedAt && !i.rescannedAt && i.date < dateKey);
+}
+
+function markRescanned(id) {
+  const item = get(id);
+  if (item) {
+    item.rescannedAt = new Date().toISOString();
+    persist();
+  }
+  return item;
+}
+
+// Compact decision record attached to audit entries and actions.
+function approvalSummary(item) {
+  return {
+    id: item.id,
+    decision: item.decision,
+    decidedBy: item.decidedBy,
+    decidedVia: item.decidedVia,
+    decidedAt: item.decidedAt,
+    note: item.note
+  };
+}
+
+module.exports = {
+  TIMEOUT_MINUTES,
+  TIMEOUT_ACTION,
+  DECISIONS,
+  get,
+  findByCheckout,
+  list,
+  enqueue,
+  decide,
+  expire,
+  markVoided,
+  approvedBefore,
+  markRescanned,
+  approvalSummary,
+  verify,
+  signedLink
+};
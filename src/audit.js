@@ -0,0 +1,103 @@
+/**
+ * Audit trail — one record per cancellation decision, kept for finance.
+ *
+ * Records are appended to one JSON-lines file per operational date
+ * (data/audit/YYYY-MM-DD.jsonl) and are never rewritten. Each record holds the
+ * action type plus a full PO snapshot at decision time:
+ *   pallets (by type), palletsIn, restacksUpstacks, the ancillary line items
+ *   that made up the restack total, the rule that fired, the checkout ID and
+ *   the Load Entry API response status.
+ *
+ * Audited types: cancelled, would-cancel, over-no-wallet, over-alert, void-failed,
+ * exempt, held (queued for approval), released (approval rejected or timed out) and
+ * void-no-longer-justified (restacks corrected below the limit after a void).
+ * A reversed record (reversalOf = the cancelled record's id) marks a void as
+ * undone; query() attaches it to the cancelled record as `reversal`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const metrics = require('./metrics');
+
+const AUDIT_DIR = path.join(store.DATA_DIR, 'audit');
+const MAX_RANGE_DAYS = 93;
+const actionsTotal = metrics.counter('pallet_guard_actions_total', 'Audited actions (voids, would-voids, alerts, holds, failed voids, ...) by type and site');
+
+function auditFile(dateKey) {
+  return path.join(AUDIT_DIR, `${dateKey}.jsonl`);
+}
+
+function record(dateKey, entry) {
+  const rec = {
+    id: crypto.randomUUID(),
+    date: dateKey,
+    recordedAt: new Date().toISOString(),
+    ...entry
+  };
+  store.appendLine(auditFile(dateKey), rec);
+  actionsTotal.inc({ type: rec.type, site: rec.site || 'default' });
+  return rec;
+}
+
+function dateKeysBetween(from, to) {
+  const keys = [];
+  const d = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  if (isNaN(d) || isNaN(end)) throw new Error('Dates must be YYYY-MM-DD');
+  while (d <= end) {
+    keys.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`);
+    if (keys.length > MAX_RANGE_DAYS) throw new Error(`Date range may not exceed ${MAX_RANGE_DAYS} days`);
+    d.setDate(d.getDate() + 1);
+  }
+  return keys;
+}
+
+function includesText(value, needle) {
+  return String(value || '').toLowerCase().includes(String(needle).toLowerCase());
+}
+
+// Look a record up by id, newest files first.
+function findById(id) {
+  if (!fs.existsSync(AUDIT_DIR)) return null;
+  const files = fs.readdirSync(AUDIT_DIR).filter(f => f.endsWith('.jsonl')).sort().reverse();
+  for (const name of files) {
+    const rec = store.readLines(path.join(AUDIT_DIR, name)).find(r => r.id === id);
+    if (rec) return rec;
+  }
+  return null;
+}
+
+// The reversed record for a cancellation (same operational date), or null.
+function findReversal(rec) {
+  return store.readLines(auditFile(rec.date))
+    .find(r => r.type === 'reversed' && r.reversalOf === rec.id) || null;
+}
+
+/**
+ * Read audit records for operational dates from..to (inclusive, YYYY-MM-DD).
+ * Optional filters: po, carrier (substring, case-insensitive), type, site.
+ */
+function query({ from, to, po, carrier, type, site } = {}) {
+  const types = type ? String(type).split(',') : null;
+  const results = [];
+  for (const key of dateKeysBetween(from, to || from)) {
+    if (!fs.existsSync(auditFile(key))) continue;
+    const records = store.readLines(auditFile(key));
+    const reversals = {};
+    for (const rec of records) {
+      if (rec.type === 'reversed') reversals[rec.reversalOf] = rec;
+    }
+    for (const rec of records) {
+      if (po && rec.poNumber !== po) continue;
+      if (carrier && !includesText(rec.carrier, carrier)) continue;
+      if (types && !types.includes(rec.type)) continue;
+      if (site && rec.site !== site) continue;
+      results.push(reversals[rec.id] ? { ...rec, reversal: reversals[rec.id] } : rec);
+    }
+  }
+  return results;
+}
+
+module.exports = { AUDIT_DIR, record, query, findById, findReversal, dateKeysBetween };
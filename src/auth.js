@@ -8,29 +8,104 @@
  * 2. Navigate to apexloadentry.capstonelogistics.com → Microsoft B2C SSO redirect
  *    → Fill email/password on login.microsoftonline.com → handle "Stay signed in?" → 
  *    → redirected back → localStorage.getItem('token') = Bearer for loadentryapi
+ *
+ * Each credential set (see sites.js) gets its own browser context so sites with
+ * separate logins never share cookies. Credentials default to the .env login.
+ *
+ * Session reuse: each context's storage state is saved encrypted (see
+ * browserstate.js) after every successful login and restored when the context
+ * is created. Both token getters first try a silent refresh from that session
+ * (Apex re-issues the Token cookie, the Load Entry SPA gets a new token through
+ * the SSO redirect without a password) and only fill in the login forms when
+ * the session is gone. Passing the token that just got a 401 as `staleToken`
+ * keeps the same expired token from being handed back.
+ *
+ * Both tokens are JWTs; tokenExpiry() reads their `exp` claim so the service
+ * can refresh them before they run out.
+ *
+ * MFA: a verification-code screen is answered from the credential set's
+ * loadEntryTotpSecret (see totp.js). Challenges a headless browser can't answer
+ * (push approval, SMS, phone call, or a code with no secret configured) fail
+ * fast with err.mfaChallenge set to the MFA_CHALLENGES key and a screenshot,
+ * instead of timing out.
  */
 
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const sites = require('./sites');
+const browserstate = require('./browserstate');
+const totp = require('./totp');
+const logger = require('./logger');
+
+const log = logger.child({ component: 'auth' });
 
 const APEX_LOGIN_URL = 'https://apex.capstonelogistics.com/home';
 const LOAD_ENTRY_URL = 'https://apexloadentry.capstonelogistics.com/';
 const SCREENSHOT_DIR = path.join(__dirname, '..', 'screenshots');
+const SILENT_WAIT_MS = 10000; // how long a live session gets to re-issue the Apex token
 
 // Ensure screenshot dir exists
 if (!fs.existsSync(SCREENSHOT_DIR)) fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
 
-let browserContext = null;
+// MFA challenges, recognised by the text Microsoft shows on the screen
+const MFA_CHALLENGES = {
+  'push-approval': { label: 'Authenticator app push approval', text: [/approve sign[- ]in request/i, /open your authenticator app/i, /enter the number shown/i] },
+  'sms': { label: 'SMS text message code', text: [/we texted your phone/i, /enter the code we (sent|texted)/i] },
+  'phone-call': { label: 'Phone call', text: [/calling your phone/i] },
+  'method-choice': { label: 'Choice of verification method', text: [/verify your identity/i] },
+  'totp-no-secret': { label: 'Authenticator app code (no TOTP secret configured)', text: [] }
+};
+const CODE_INPUT = 'input[name="otc"], #idTxtBx_SAOTCC_OTC, input[name="verificationCode"], #verificationCode, input[autocomplete="one-time-code"]';
+
+let browser = null;
+const browserContexts = new Map();
+const usedTotpCodes = new Map(); // credentialsId → last code submitted
+
+async function getBrowserContext(credentialsId = 'default') {
+  if (!browser) {
+    browser = await chromium.launch({ headless: true });
+  }
+  if (!browserContexts.has(credentialsId)) {
+    const storageState = browserstate.load(credentialsId);
+    if (storageState) log.info(`Restoring saved browser session for "${credentialsId}"`);
+    browserContexts.set(credentialsId, await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      storageState: storageState || undefined
+    }));
+  }
+  return browserContexts.get(credentialsId);
+}
+
+async function saveSession(context, credentialsId) {
+  try {
+    browserstate.save(credentialsId, await context.storageState());
+  } catch (e) {
+    log.warn(`⚠️ Failed to save browser session: ${e.message}`);
+  }
+}
 
-async function getBrowserContext() {
-  if (!browserContext) {
-    const browser = await chromium.launch({ headless: true });
-    browserContext = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
-    });
+// Poll for a Token cookie other than the stale one
+async function waitForApexToken(context, page, staleToken, maxWait) {
+  const pollInterval = 1000;
+  const start = Date.now();
+  while (Date.now() - start < maxWait) {
+    const cookies = await context.cookies();
+    const tokenCookie = cookies.find(c => c.name === 'Token' && c.domain.includes('capstonelogistics.com'));
+    if (tokenCookie && tokenCookie.value && tokenCookie.value !== staleToken) return tokenCookie.value;
+    await page.waitForTimeout(pollInterval);
+  }
+  return null;
+}
+
+// Expiry of a JWT (its `exp` claim) as a Date, or null if it isn't one
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+  } catch (e) {
+    return null;
   }
-  return browserContext;
 }
 
 async function screenshotOnFail(page, label) {
@@ -38,26 +113,41 @@ async function screenshotOnFail(page, label) {
     const ts = new Date().toISOString().replace(/[:.]/g, '-');
     const filePath = path.join(SCREENSHOT_DIR, `${label}-${ts}.png`);
     await page.screenshot({ path: filePath, fullPage: true });
-    console.log(`[AUTH] 📸 Failure screenshot saved: ${filePath}`);
+    log.info(`📸 Failure screenshot saved: ${filePath}`);
     return filePath;
   } catch (e) {
-    console.log(`[AUTH] ⚠️ Failed to take screenshot: ${e.message}`);
+    log.warn(`⚠️ Failed to take screenshot: ${e.message}`);
     return null;
   }
 }
 
-async function getApexToken() {
-  const context = await getBrowserContext();
+async function getApexToken(creds = sites.defaultCredentials(), staleToken = null) {
+  const context = await getBrowserContext(creds.id);
   const page = await context.newPage();
 
   try {
-    console.log('[AUTH] Loading Apex login page...');
+    log.debug('Loading Apex login page...');
     await page.goto(APEX_LOGIN_URL, { waitUntil: 'networkidle' });
 
+    // Still signed in from a saved session? Then there's no login form and
+    // Apex hands out a fresh Token cookie on its own
+    const loginForm = page.locator('input[name="Username"], #Username').first();
+    if (!(await loginForm.isVisible())) {
+      const silentToken = await waitForApexToken(context, page, staleToken, SILENT_WAIT_MS);
+      if (silentToken) {
+        log.info(`✓ Apex Token refreshed from saved session`);
+        await saveSession(context, creds.id);
+        return silentToken;
+      }
+      log.warn('Saved Apex session gave no fresh token — logging in again');
+      await context.clearCookies({ name: /^(Token|\.AspNetCore\.Cookies)$/ });
+      await page.goto(APEX_LOGIN_URL, { waitUntil: 'networkidle' });
+    }
+
     // Fill in credentials
-    console.log('[AUTH] Filling Apex credentials...');
-    await page.fill('input[name="Username"], #Username', process.env.APEX_USERNAME || '');
-    await page.fill('input[name="Password"], #Password', process.env.APEX_PASSWORD || '');
+    log.debug('Filling Apex credentials...');
+    await page.fill('input[name="Username"], #Username', creds.apexUsername || '');
+    await page.fill('input[name="Password"], #Password', creds.apexPassword || '');
     
     // Check RememberMe if it exists
     const rememberMe = page.locator('input[name="RememberMe"]');
@@ -66,31 +156,22 @@ async function getApexToken() {
     }
 
     // Submit form
-    console.log('[AUTH] Submitting login form...');
+    log.debug('Submitting login form...');
     await page.click('button[type="submit"], input[type="submit"]');
     
     // Poll for Token cookie up to 30 seconds
-    let tokenCookie = null;
-    const maxWait = 30000;
-    const pollInterval = 1000;
-    const start = Date.now();
-    
-    while (Date.now() - start < maxWait) {
-      const cookies = await context.cookies();
-      tokenCookie = cookies.find(c => c.name === 'Token' && c.domain.includes('capstonelogistics.com'));
-      if (tokenCookie && tokenCookie.value) break;
-      await page.waitForTimeout(pollInterval);
-    }
+    const token = await waitForApexToken(context, page, staleToken, 30000);
     
-    if (!tokenCookie || !tokenCookie.value) {
+    if (!token) {
       const ssPath = await screenshotOnFail(page, 'apex-auth');
       const err = new Error('Apex Token cookie not found after 30s - login may have failed');
       err.screenshotPath = ssPath;
       throw err;
     }
 
-    console.log(`[AUTH] ✓ Apex Token acquired (${tokenCookie.value.substring(0, 20)}...)`);
-    return tokenCookie.value;
+    log.info(`✓ Apex Token acquired`);
+    await saveSession(context, creds.id);
+    return token;
 
   } catch (error) {
     if (!error.screenshotPath) {
@@ -103,21 +184,25 @@ async function getApexToken() {
   }
 }
 
-async function getLoadEntryToken() {
-  const context = await getBrowserContext();
+async function getLoadEntryToken(creds = sites.defaultCredentials(), staleToken = null) {
+  const context = await getBrowserContext(creds.id);
   const page = await context.newPage();
 
   try {
-    console.log('[AUTH] Loading Load Entry page...');
+    log.debug('Loading Load Entry page...');
     await page.goto(LOAD_ENTRY_URL, { waitUntil: 'networkidle' });
 
-    // Handle Microsoft B2C authentication flow
+    // Handle Microsoft B2C authentication flow. With a live SSO session the
+    // redirect comes straight back with a token; the forms are only filled
+    // when Microsoft asks for them.
     let attempts = 0;
     const maxAttempts = 30; // 30 seconds timeout
+    let interactive = false;
+    let droppedStale = false;
 
     while (attempts < maxAttempts) {
       const url = page.url();
-      console.log(`[AUTH] Current URL: ${url}`);
+      log.debug(`Current URL: ${url}`);
 
       // Check if we're back on Load Entry with token in localStorage
       if (url.includes('apexloadentry.capstonelogistics.com')) {
@@ -127,8 +212,17 @@ async function getLoadEntryToken() {
             return raw ? raw.replace(/^"|"$/g, '') : null;
           });
           
-          if (token && token.length > 20) {
-            console.log(`[AUTH] ✓ Load Entry token acquired (${token.substring(0, 20)}...)`);
+          if (token && token === staleToken && !droppedStale) {
+            // Expired token left in localStorage — drop it so the app signs in again
+            log.debug('Dropping expired Load Entry token from saved session...');
+            droppedStale = true;
+            await page.evaluate(() => localStorage.removeItem('token'));
+            await page.reload({ waitUntil: 'networkidle' });
+            continue;
+          }
+          if (token && token.length > 20 && token !== staleToken) {
+            log.info(`✓ Load Entry token ${interactive ? 'acquired' : 'refreshed from saved session'}`);
+            await saveSession(context, creds.id);
             return token;
           }
         } catch (e) {
@@ -138,7 +232,7 @@ async function getLoadEntryToken() {
 
       // Handle Microsoft login screens
       if (url.includes('login.microsoftonline.com') || url.includes('.b2clogin.com') || url.includes('capstonelogisticspartners')) {
-        await handleMicrosoftLogin(page);
+        if (await handleMicrosoftLogin(page, creds)) interactive = true;
       }
 
       await page.waitForTimeout(1000);
@@ -161,44 +255,100 @@ async function getLoadEntryToken() {
   }
 }
 
-async function handleMicrosoftLogin(page) {
+async function mfaError(page, type) {
+  const err = new Error(`Load Entry login needs MFA the headless browser can't complete: ${MFA_CHALLENGES[type].label}`);
+  err.mfaChallenge = type;
+  err.screenshotPath = await screenshotOnFail(page, `mfa-${type}`);
+  return err;
+}
+
+// Answer an MFA screen if it is one: true if it acted, false if this isn't
+// an MFA screen, throws for challenges that can't be answered
+async function handleMfa(page, creds) {
+  const text = await page.textContent('body') || '';
+  for (const type of ['push-approval', 'sms', 'phone-call']) {
+    if (MFA_CHALLENGES[type].text.some(re => re.test(text))) throw await mfaError(page, type);
+  }
+
+  const codeInput = page.locator(CODE_INPUT).first();
+  if (await codeInput.isVisible()) {
+    if (!creds.loadEntryTotpSecret) throw await mfaError(page, 'totp-no-secret');
+    let { code, expiresIn } = totp.generate(creds.loadEntryTotpSecret);
+    if (expiresIn < 5) {
+      // About to roll over — use the next code so it isn't stale on arrival
+      await page.waitForTimeout(expiresIn * 1000);
+      ({ code } = totp.generate(creds.loadEntryTotpSecret));
+    }
+    // A code that was already submitted won't be accepted twice
+    if (usedTotpCodes.get(creds.id) === code) return true;
+    usedTotpCodes.set(creds.id, code);
+
+    log.debug('Filling authenticator code...');
+    await codeInput.fill(code);
+    const dontAskAgain = page.locator('#idChkBx_SAOTCC_TD, input[name="rememberMFA"]').first();
+    if (await dontAskAgain.isVisible()) await dontAskAgain.check();
+    const verifyBtn = page.locator('#idSubmit_SAOTCC_Continue, #verifyCode, button[type="submit"], input[type="submit"]').first();
+    if (await verifyBtn.isVisible()) {
+      await page.waitForTimeout(300);
+      await verifyBtn.click();
+    }
+    return true;
+  }
+
+  if (MFA_CHALLENGES['method-choice'].text.some(re => re.test(text))) {
+    // Pick "Use a verification code" when there's a secret to answer it
+    const codeOption = page.locator('[data-value="PhoneAppOTP"]').first();
+    if (creds.loadEntryTotpSecret && await codeOption.isVisible()) {
+      log.debug('Choosing authenticator code verification...');
+      await codeOption.click();
+      return true;
+    }
+    throw await mfaError(page, 'method-choice');
+  }
+  return false;
+}
+
+// Fill whichever Microsoft / B2C login step is showing; true if it acted
+async function handleMicrosoftLogin(page, creds) {
   try {
+    if (await handleMfa(page, creds)) return true;
+
     // Check for "Stay signed in?" prompt
     const stayYesButton = page.locator('#idSIButton9');
     if (await stayYesButton.isVisible() && await page.textContent('body').then(text => 
       text.includes('Stay signed in') || text.includes('remain signed in')
     )) {
-      console.log('[AUTH] Clicking "Yes" on Stay signed in...');
+      log.debug('Clicking "Yes" on Stay signed in...');
       await stayYesButton.click();
-      return;
+      return true;
     }
 
     // Password field visible? Fill and submit
     const passField = page.locator('input[type="password"][name="passwd"], input[type="password"]');
     if (await passField.isVisible()) {
-      console.log('[AUTH] Filling password...');
-      await passField.fill(process.env.LOADENTRY_PASSWORD || '');
+      log.debug('Filling password...');
+      await passField.fill(creds.loadEntryPassword || '');
       await page.waitForTimeout(300);
       
       const signInBtn = page.locator('input[type="submit"][value="Sign in"], input[type="submit"], #idSIButton9').first();
       if (await signInBtn.isVisible()) {
         await signInBtn.click();
       }
-      return;
+      return true;
     }
 
     // Email field visible? Fill and submit
     const emailField = page.locator('input[type="email"][name="loginfmt"], input[name="loginfmt"]');
     if (await emailField.isVisible()) {
-      console.log('[AUTH] Filling email...');
-      await emailField.fill(process.env.LOADENTRY_EMAIL || '');
+      log.debug('Filling email...');
+      await emailField.fill(creds.loadEntryEmail || '');
       await page.waitForTimeout(300);
       
       const nextBtn = page.locator('input[type="submit"][value="Next"], input[type="submit"], #idSIButton9').first();
       if (await nextBtn.isVisible()) {
         await nextBtn.click();
       }
-      return;
+      return true;
     }
 
     // B2C custom policy forms
@@ -207,54 +357,62 @@ async function handleMicrosoftLogin(page) {
     
     // Both fields present — fill both and submit
     if (await b2cEmail.isVisible() && await b2cPass.isVisible()) {
-      console.log('[AUTH] Filling B2C combined form...');
-      await b2cEmail.fill(process.env.LOADENTRY_EMAIL || '');
-      await b2cPass.fill(process.env.LOADENTRY_PASSWORD || '');
+      log.debug('Filling B2C combined form...');
+      await b2cEmail.fill(creds.loadEntryEmail || '');
+      await b2cPass.fill(creds.loadEntryPassword || '');
       
       const submitBtn = page.locator('#next, button[type="submit"], input[type="submit"]').first();
       if (await submitBtn.isVisible()) {
         await page.waitForTimeout(300);
         await submitBtn.click();
       }
-      return;
+      return true;
     }
     
     // Only email/signInName field — fill and submit
     if (await b2cEmail.isVisible()) {
-      console.log('[AUTH] Filling B2C email field...');
-      await b2cEmail.fill(process.env.LOADENTRY_EMAIL || '');
+      log.debug('Filling B2C email field...');
+      await b2cEmail.fill(creds.loadEntryEmail || '');
       
       const submitBtn = page.locator('#next, button[type="submit"], input[type="submit"]').first();
       if (await submitBtn.isVisible()) {
         await page.waitForTimeout(300);
         await submitBtn.click();
       }
-      return;
+      return true;
     }
     
     // Only password field — fill and submit
     if (await b2cPass.isVisible()) {
-      console.log('[AUTH] Filling B2C password field...');
-      await b2cPass.fill(process.env.LOADENTRY_PASSWORD || '');
+      log.debug('Filling B2C password field...');
+      await b2cPass.fill(creds.loadEntryPassword || '');
       
       const submitBtn = page.locator('#next, button[type="submit"], input[type="submit"]').first();
       if (await submitBtn.isVisible()) {
         await page.waitForTimeout(300);
         await submitBtn.click();
       }
-      return;
+      return true;
     }
 
   } catch (e) {
-    console.log(`[AUTH] Error handling Microsoft login: ${e.message}`);
+    if (e.mfaChallenge) throw e;
+    log.warn(`Error handling Microsoft login: ${e.message}`);
   }
+  return false;
 }
 
+// Saves each context's session first, so the next launch can reuse it
 async function closeBrowser() {
-  if (browserContext) {
-    await browserContext.browser().close();
-    browserContext = null;
+  for (const [credentialsId, context] of browserContexts) {
+    await saveSession(context, credentialsId);
+  }
+  browserContexts.clear();
+  if (browser) {
+    const closing = browser;
+    browser = null;
+    await closing.close();
   }
 }
 
-module.exports = { getApexToken, getLoadEntryToken, closeBrowser };
\ No newline at end of file
+module.exports = { MFA_CHALLENGES, getApexToken, getLoadEntryToken, tokenExpiry, closeBrowser };
\ No newline at end of file
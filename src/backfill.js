@@ -0,0 +1,188 @@
+/**
+ * Backfill — re-run the scanner's evaluation over past operational dates.
+ *
+ * The live scanner only looks at today, so POs from a window the service was
+ * down for are never evaluated. A backfill job walks every date × site ×
+ * subdept, oldest first, through scanner.scan() with that date, in one of two
+ * modes:
+ *   report  — evaluate only: over-limit payments are recorded as would-cancel
+ *             and nothing is voided (default)
+ *   enforce — void as the live scanner would; in approval mode (and for rules
+ *             with action 'hold') payments queue for approval and their alert
+ *             goes out with Approve / Reject links. Once approved, the next
+ *             scan cycle re-scans that date and voids them (see index.js).
+ * Results land where a live scan's do — the date's snapshot, state and audit
+ * file — and audit records carry the job id as `backfill`. Other backfilled
+ * actions don't send notifications; the job summary is in the log and on the
+ * dashboard.
+ *
+ * One job runs at a time. Its progress goes to the dashboard as a `backfill`
+ * event (see live.js), and the last KEEP_JOBS jobs are kept in
+ * data/backfills.json. A job that was running when the service stopped is
+ * marked interrupted on the next start.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const audit = require('./audit');
+const api = require('./api');
+const live = require('./live');
+const scanner = require('./scanner');
+const analytics = require('./analytics');
+const logger = require('./logger');
+
+const BACKFILLS_FILE = path.join(store.DATA_DIR, 'backfills.json');
+const MODES = ['report', 'enforce'];
+const KEEP_JOBS = 50;
+
+let jobs = null;
+let running = null; // { job, cancelled }
+
+function load() {
+  if (!jobs) {
+    jobs = fs.existsSync(BACKFILLS_FILE)
+      ? JSON.parse(fs.readFileSync(BACKFILLS_FILE, 'utf8'))
+      : [];
+    for (const job of jobs) {
+      if (job.status === 'running') {
+        job.status = 'interrupted';
+        job.finishedAt = job.updatedAt;
+      }
+    }
+  }
+  return jobs;
+}
+
+function persist() {
+  jobs = load().slice(0, KEEP_JOBS);
+  store.ensureDir(path.dirname(BACKFILLS_FILE));
+  fs.writeFileSync(BACKFILLS_FILE + '.tmp', JSON.stringify(jobs, null, 2));
+  fs.renameSync(BACKFILLS_FILE + '.tmp', BACKFILLS_FILE);
+}
+
+function update(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  persist();
+  live.publish('backfill', job);
+}
+
+function list() {
+  return load();
+}
+
+function get(id) {
+  return load().find(j => j.id === id) || null;
+}
+
+function current() {
+  return running ? running.job : null;
+}
+
+/**
+ * Check a request and expand it into steps.
+ * @param {Object} params - { from, to, mode }
+ * @param {Array} targets - [{ site, subdepts }] to scan on each date
+ */
+function plan({ from, to, mode = 'report' }, targets) {
+  if (!from) throw new Error('from is required (YYYY-MM-DD)');
+  to = to || from;
+  for (const date of [from, to]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('from and to must be YYYY-MM-DD');
+  }
+  if (from > to) throw new Error('from must not be after to');
+  if (to >= api.todayLoadEntry()) {
+    throw new Error(`Backfill covers past operational dates only — today (${api.todayLoadEntry()}) is scanned live`);
+  }
+  if (!MODES.includes(mode)) throw new Error(`mode must be one of ${MODES.join(', ')}`);
+  if (!targets.length) throw new Error('Nothing to scan — no matching site or subdept');
+
+  const steps = [];
+  for (const date of audit.dateKeysBetween(from, to)) {
+    for (const { site, subdepts } of targets) {
+      for (const subDept of subdepts) steps.push({ date, site, subDept });
+    }
+  }
+  return { from, to, mode, steps };
+}
+
+/**
+ * Start a job in the background.
+ * @param {Object} params - { from, to, mode, requestedBy }
+ * @param {Array} targets - [{ site, subdepts }]
+ * @param {Function} runStep - async ({ date, site, subDept }, options) → scanner.scan() result;
+ *   the caller supplies the tokens and re-authenticates on a 401
+ * @returns {Object} the job
+ */
+function start(params, targets, runStep) {
+  if (running) throw new Error(`Backfill ${running.job.id} is still running`);
+  const { from, to, mode, steps } = plan(params, targets);
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    from,
+    to,
+    mode,
+    targets: targets.map(t => ({ site: t.site ? t.site.id : null, subdepts: t.subdepts })),
+    requestedBy: params.requestedBy || null,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    finishedAt: null,
+    total: steps.length,
+    done: 0,
+    current: null,
+    pos: 0,
+    actions: {},
+    errors: []
+  };
+  load().unshift(job);
+  running = { job, cancelled: false };
+  update(job, {});
+  logger.info(`⏪ Backfill ${from} to ${to} (${mode}) started by ${job.requestedBy || 'unknown'}: ${steps.length} subdept-days`, { backfill: job.id });
+
+  logger.withContext({ backfill: job.id }, () => run(job, steps, runStep));
+  return job;
+}
+
+async function run(job, steps, runStep) {
+  const scanMode = job.mode === 'report' ? 'shadow' : scanner.getMode() === 'approval' ? 'approval' : 'enforce';
+  try {
+    for (const step of steps) {
+      if (running.cancelled) break;
+      const siteId = step.site ? step.site.id : null;
+      update(job, { current: { date: step.date, site: siteId, subDept: step.subDept } });
+      try {
+        const result = await runStep(step, { date: step.date, mode: scanMode, backfill: job.id });
+        analytics.invalidate(step.date);
+        job.pos += result.poData.length;
+        for (const action of result.actions) {
+          job.actions[action.type] = (job.actions[action.type] || 0) + 1;
+        }
+      } catch (err) {
+        logger.error(`❌ Backfill ${step.date} ${siteId ? `${siteId}/` : ''}SD${step.subDept} failed: ${err.message}`);
+        job.errors.push({ date: step.date, site: siteId, subDept: step.subDept, error: err.message });
+      }
+      job.done++;
+    }
+    const status = running.cancelled ? 'cancelled' : job.errors.length === job.total ? 'failed' : 'done';
+    update(job, { status, current: null, finishedAt: new Date().toISOString() });
+    const actionSummary = Object.entries(job.actions).map(([type, n]) => `${n} ${type}`).join(', ') || 'no actions';
+    logger.info(`⏪ Backfill ${job.from} to ${job.to} ${status}: ${job.done}/${job.total} subdept-days, ${job.pos} POs, ${actionSummary}${job.errors.length ? `, ${job.errors.length} failed` : ''}`);
+  } catch (err) {
+    logger.error(`💥 Backfill crashed: ${err.message}`);
+    update(job, { status: 'failed', current: null, finishedAt: new Date().toISOString() });
+  } finally {
+    running = null;
+  }
+}
+
+// Stop the running job after the subdept it's on
+function cancel() {
+  if (!running) return null;
+  running.cancelled = true;
+  return running.job;
+}
+
+module.exports = { MODES, list, get, current, plan, start, cancel };
@@ -0,0 +1,84 @@
+/**
+ * Browser state — saved Playwright storage state (cookies + localStorage) per
+ * credential set, so a restart or re-auth can reuse the Apex / Microsoft SSO
+ * session instead of logging in from scratch.
+ *
+ * Each file (data/sessions/<credentialsId>.enc) is AES-256-GCM encrypted:
+ *   base64(iv) . base64(auth tag) . base64(ciphertext)
+ * The key is SESSION_SECRET (any string, hashed to 32 bytes), or a random key
+ * kept in data/session-key. A file that can't be decrypted (key changed,
+ * corrupted) is discarded and the next login is interactive.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const logger = require('./logger');
+
+const SESSIONS_DIR = path.join(store.DATA_DIR, 'sessions');
+const KEY_FILE = path.join(store.DATA_DIR, 'session-key');
+const ENABLED = process.env.SESSION_REUSE !== 'false';
+
+let key = null;
+
+function getKey() {
+  if (!key) {
+    if (process.env.SESSION_SECRET) {
+      key = crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest();
+    } else if (fs.existsSync(KEY_FILE)) {
+      key = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+    } else {
+      key = crypto.randomBytes(32);
+      store.ensureDir(path.dirname(KEY_FILE));
+      fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+    }
+  }
+  return key;
+}
+
+function stateFile(credentialsId) {
+  return path.join(SESSIONS_DIR, `${String(credentialsId).replace(/[^\w.-]/g, '_')}.enc`);
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, data] = payload.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// Saved storage state for a credential set, or null
+function load(credentialsId) {
+  const file = stateFile(credentialsId);
+  if (!ENABLED || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(decrypt(fs.readFileSync(file, 'utf8').trim()));
+  } catch (err) {
+    logger.warn(`⚠️ Saved session for "${credentialsId}" could not be read (${err.message}) — discarding`, { component: 'auth' });
+    clear(credentialsId);
+    return null;
+  }
+}
+
+function save(credentialsId, state) {
+  if (!ENABLED) return;
+  const file = stateFile(credentialsId);
+  store.ensureDir(SESSIONS_DIR);
+  fs.writeFileSync(file + '.tmp', encrypt(JSON.stringify(state)), { mode: 0o600 });
+  fs.renameSync(file + '.tmp', file);
+}
+
+function clear(credentialsId) {
+  const file = stateFile(credentialsId);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+module.exports = { ENABLED, load, save, clear };
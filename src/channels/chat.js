@@ -0,0 +1,55 @@
+/**
+ * Chat channels — Microsoft Teams and Slack incoming webhooks.
+ *
+ * Config: { url }. Teams gets a MessageCard (connector format), Slack an
+ * attachment with one field per message fact. Links such as Approve / Reject
+ * become buttons (Teams) or inline links (Slack).
+ */
+
+const http = require('./http');
+
+function teamsPayload(message) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    themeColor: message.color.replace('#', ''),
+    summary: message.subject,
+    title: message.subject,
+    sections: [{
+      facts: message.fields.map(f => ({ name: f.label, value: String(f.value) })),
+      text: message.text
+    }],
+    potentialAction: message.links.map(link => ({
+      '@type': 'OpenUri',
+      name: link.label,
+      targets: [{ os: 'default', uri: link.url }]
+    }))
+  };
+}
+
+function slackPayload(message) {
+  const links = message.links.map(link => `<${link.url}|${link.label}>`).join(' · ');
+  return {
+    text: message.subject,
+    attachments: [{
+      color: message.color,
+      title: message.title,
+      text: links ? `${message.text}\n${links}` : message.text,
+      fields: message.fields.map(f => ({ title: f.label, value: String(f.value), short: true }))
+    }]
+  };
+}
+
+function create(config, type) {
+  if (!config.url) throw new Error('url is required');
+  const payload = type === 'teams' ? teamsPayload : slackPayload;
+  const timeoutMs = http.timeoutFor(config);
+
+  async function send(message) {
+    return http.post(config.url, payload(message), {}, timeoutMs);
+  }
+
+  return { send };
+}
+
+module.exports = { create, teamsPayload, slackPayload };
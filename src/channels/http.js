@@ -0,0 +1,34 @@
+// Shared HTTP POST for the webhook-style channels. Throws on a non-2xx reply
+// with err.status set, like api.js does for the Capstone APIs. A request that
+// gets no reply within timeoutMs is aborted and throws too, so a hung endpoint
+// fails and retries like any other error instead of stalling the outbox.
+const DEFAULT_TIMEOUT_SECONDS = 15;
+
+// A channel's timeoutSeconds setting, in ms
+function timeoutFor(config) {
+  return (parseInt(config.timeoutSeconds, 10) || DEFAULT_TIMEOUT_SECONDS) * 1000;
+}
+
+async function post(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error(`POST ${new URL(url).host} timed out after ${timeoutMs / 1000}s`);
+    throw err;
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`POST ${new URL(url).host} failed ${res.status}${text ? `: ${text.substring(0, 200)}` : ''}`);
+    err.status = res.status;
+    throw err;
+  }
+  return { status: res.status };
+}
+
+module.exports = { DEFAULT_TIMEOUT_SECONDS, timeoutFor, post };
@@ -0,0 +1,105 @@
+/**
+ * Notification channels — interchangeable adapters the notifier sends through.
+ *
+ * Read from NOTIFY_CONFIG (default config/notify.json). See
+ * config/notify.example.json for the format. Each channel has:
+ *   id      — name used in logs
+ *   type    — smtp | teams | slack | webhook | sms
+ *   events  — event types it receives (default: all); see notifier.EVENTS
+ *   enabled — false to switch a channel off without deleting it
+ *   rateLimit — max messages per minute through this channel (default 20);
+ *             the outbox holds the rest back (see outbox.js)
+ *   timeoutSeconds — how long a send may wait for the server before it counts
+ *             as failed and is retried (default 15)
+ * plus the adapter's own settings. String values may reference env vars as ${NAME}.
+ *
+ * Every adapter exposes send(message, recipients), where message is the
+ * channel-neutral shape built by notifier.js and recipients is the site's
+ * email list (after routing, see routing.js). Without a config file (or without
+ * "channels" in it) the service behaves as before: one Gmail SMTP channel
+ * using GMAIL_ADDRESS / GMAIL_APP_PASSWORD for every event.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expandEnv, toList } = require('../sites');
+const smtp = require('./smtp');
+const chat = require('./chat');
+const webhook = require('./webhook');
+const sms = require('./sms');
+
+const NOTIFY_CONFIG = process.env.NOTIFY_CONFIG || path.join(__dirname, '..', '..', 'config', 'notify.json');
+
+const ADAPTERS = {
+  smtp: config => smtp.create(config),
+  teams: config => chat.create(config, 'teams'),
+  slack: config => chat.create(config, 'slack'),
+  webhook: config => webhook.create(config),
+  sms: config => sms.create(config)
+};
+const TYPES = Object.keys(ADAPTERS);
+const DEFAULT_RATE_LIMIT = 20;
+
+function defaultConfig() {
+  return [{
+    id: 'email',
+    type: 'smtp',
+    service: 'gmail',
+    user: '${GMAIL_ADDRESS}',
+    pass: '${GMAIL_APP_PASSWORD}'
+  }];
+}
+
+function normalizeChannel(raw, index, knownEvents) {
+  const id = String(raw.id || `${raw.type}${index + 1}`).trim();
+  if (!TYPES.includes(raw.type)) {
+    throw new Error(`Channel "${id}" has unknown type "${raw.type}" (expected ${TYPES.join(', ')})`);
+  }
+  const config = {};
+  for (const [key, value] of Object.entries(raw)) config[key] = expandEnv(value);
+  config.to = toList(config.to);
+
+  const events = raw.events ? toList(raw.events) : null;
+  for (const event of events || []) {
+    if (!knownEvents.includes(event)) {
+      throw new Error(`Channel "${id}" lists unknown event "${event}" (expected ${knownEvents.join(', ')})`);
+    }
+  }
+
+  let adapter;
+  try {
+    adapter = ADAPTERS[raw.type](config);
+  } catch (err) {
+    throw new Error(`Channel "${id}" (${raw.type}): ${err.message}`);
+  }
+  const rateLimit = parseInt(raw.rateLimit, 10) || DEFAULT_RATE_LIMIT;
+  return { id, type: raw.type, events, to: config.to, rateLimit, send: adapter.send };
+}
+
+// Parsed notify config ({ channels, routes }), or null without a file
+function readConfig() {
+  if (!fs.existsSync(NOTIFY_CONFIG)) return null;
+  const parsed = JSON.parse(fs.readFileSync(NOTIFY_CONFIG, 'utf8'));
+  return Array.isArray(parsed) ? { channels: parsed } : parsed;
+}
+
+function loadChannels(knownEvents) {
+  const config = readConfig();
+  const list = config && config.channels ? config.channels : defaultConfig();
+  if (!Array.isArray(list)) throw new Error(`${NOTIFY_CONFIG} must list "channels"`);
+  return list
+    .filter(raw => raw.enabled !== false)
+    .map((raw, index) => normalizeChannel(raw, index, knownEvents));
+}
+
+// Channels that receive an event
+function forEvent(channels, event) {
+  return channels.filter(ch => !ch.events || ch.events.includes(event));
+}
+
+// Public view of a channel: no urls, tokens or passwords
+function describe(channel) {
+  return { id: channel.id, type: channel.type, events: channel.events || 'all', rateLimit: channel.rateLimit };
+}
+
+module.exports = { NOTIFY_CONFIG, TYPES, readConfig, loadChannels, forEvent, describe };
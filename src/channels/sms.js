@@ -0,0 +1,51 @@
+/**
+ * SMS channel — short text alerts through an SMS gateway.
+ *
+ * Config: { to: [numbers], from, maxLength } plus either
+ *   provider 'twilio': { accountSid, authToken }
+ *   provider 'gateway' (default): { url, token } — POSTs JSON { from, to, message }
+ *     per number, with "Authorization: Bearer <token>" when a token is set.
+ */
+
+const http = require('./http');
+
+const TWILIO_API = 'https://api.twilio.com/2010-04-01/Accounts/';
+
+function create(config) {
+  if (!config.to.length) throw new Error('to must list at least one phone number');
+  const provider = config.provider || 'gateway';
+  if (provider === 'twilio' && !(config.accountSid && config.authToken)) {
+    throw new Error('twilio needs accountSid and authToken');
+  }
+  if (provider === 'gateway' && !config.url) throw new Error('url is required');
+  const maxLength = parseInt(config.maxLength, 10) || 320;
+  const timeoutMs = http.timeoutFor(config);
+
+  async function sendOne(number, text) {
+    if (provider === 'twilio') {
+      await http.post(`${TWILIO_API}${config.accountSid}/Messages.json`,
+        new URLSearchParams({ From: config.from, To: number, Body: text }).toString(),
+        {
+          'Authorization': 'Basic ' + Buffer.from(`${config.accountSid}:${config.authToken}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeoutMs);
+      return;
+    }
+    const headers = config.token ? { 'Authorization': `Bearer ${config.token}` } : {};
+    await http.post(config.url, { from: config.from, to: number, message: text }, headers, timeoutMs);
+  }
+
+  async function send(message) {
+    const full = `${message.subject}\n${message.text}`;
+    const text = full.length > maxLength ? full.substring(0, maxLength - 1) + '…' : full;
+    for (const number of config.to) {
+      await sendOne(number, text);
+    }
+    return { to: config.to };
+  }
+
+  return { send };
+}
+
+module.exports = { create };
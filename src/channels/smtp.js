@@ -0,0 +1,43 @@
+/**
+ * SMTP channel — HTML email through any SMTP server.
+ *
+ * Config: { host, port, secure, user, pass, from, to } or { service: 'gmail', user, pass }.
+ * `to` replaces the site's notify list for this channel; without it mail goes
+ * to the site recipients (or NOTIFY_EMAIL).
+ */
+
+const nodemailer = require('nodemailer');
+const http = require('./http');
+
+function create(config) {
+  const auth = config.user ? { user: config.user, pass: config.pass } : undefined;
+  const timeoutMs = http.timeoutFor(config);
+  const timeouts = { connectionTimeout: timeoutMs, greetingTimeout: timeoutMs, socketTimeout: timeoutMs };
+  const transporter = nodemailer.createTransport(config.service
+    ? { service: config.service, auth, ...timeouts }
+    : {
+      host: config.host,
+      port: parseInt(config.port, 10) || 587,
+      secure: config.secure === true || config.secure === 'true',
+      auth,
+      ...timeouts
+    });
+  const from = config.from || config.user;
+
+  async function send(message, recipients) {
+    const list = config.to.length ? config.to : recipients;
+    if (!list.length) throw new Error('no recipients (set NOTIFY_EMAIL, a site notify list or the channel "to")');
+    await transporter.sendMail({
+      from: `"Pallet Guard" <${from}>`,
+      to: list.join(', '),
+      subject: message.subject,
+      html: message.html,
+      attachments: message.attachments
+    });
+    return { to: list };
+  }
+
+  return { send };
+}
+
+module.exports = { create };
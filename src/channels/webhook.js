@@ -0,0 +1,43 @@
+/**
+ * Generic webhook channel — signed JSON for other systems to consume.
+ *
+ * Config: { url, secret }. Body: { event, subject, text, timestamp, data },
+ * where data is the scanner action (or { reason } for down alerts).
+ * With a secret, each request carries
+ *   X-Pallet-Guard-Timestamp: <unix seconds>
+ *   X-Pallet-Guard-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+ * so receivers can check the sender and reject replays.
+ */
+
+const crypto = require('crypto');
+const http = require('./http');
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function create(config) {
+  if (!config.url) throw new Error('url is required');
+  const timeoutMs = http.timeoutFor(config);
+
+  async function send(message) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      event: message.event,
+      subject: message.subject,
+      text: message.text,
+      timestamp: new Date(timestamp * 1000).toISOString(),
+      data: message.data
+    });
+    const headers = { 'X-Pallet-Guard-Event': message.event };
+    if (config.secret) {
+      headers['X-Pallet-Guard-Timestamp'] = String(timestamp);
+      headers['X-Pallet-Guard-Signature'] = sign(config.secret, timestamp, body);
+    }
+    return http.post(config.url, body, headers, timeoutMs);
+  }
+
+  return { send };
+}
+
+module.exports = { create, sign };
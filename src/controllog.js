@@ -0,0 +1,55 @@
+/**
+ * Control log — who changed what through the dashboard or control API.
+ *
+ * Every request that changes something (anything but GET/HEAD) is recorded
+ * once it has been answered, along with logins, failed logins and logouts.
+ * One JSON-lines file per operational date (data/control/YYYY-MM-DD.jsonl):
+ *   { id, timestamp, user, role, via (session | token | admin-token | anonymous),
+ *     ip, method, path, status, detail }
+ * detail holds the request body with password / secret / token values masked.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const store = require('./store');
+const audit = require('./audit');
+const api = require('./api');
+
+const CONTROL_DIR = path.join(store.DATA_DIR, 'control');
+const MASKED = /pass|secret|token|key|csrf/i;
+
+function controlFile(dateKey) {
+  return path.join(CONTROL_DIR, `${dateKey}.jsonl`);
+}
+
+// Copy of a request body that is safe to keep
+function mask(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 3) return value;
+  const out = Array.isArray(value) ? [] : {};
+  for (const [key, inner] of Object.entries(value)) {
+    out[key] = MASKED.test(key) ? '***' : mask(inner, depth + 1);
+  }
+  return out;
+}
+
+function record(entry) {
+  const rec = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...entry,
+    detail: mask(entry.detail)
+  };
+  store.appendLine(controlFile(api.todayLoadEntry()), rec);
+  return rec;
+}
+
+function query({ from, to, user } = {}) {
+  const start = from || api.todayLoadEntry();
+  const records = [];
+  for (const dateKey of audit.dateKeysBetween(start, to || start)) {
+    records.push(...store.readLines(controlFile(dateKey)));
+  }
+  return user ? records.filter(r => r.user === String(user).toLowerCase()) : records;
+}
+
+module.exports = { CONTROL_DIR, record, query, mask };
@@ -0,0 +1,857 @@
+/**
+ * Web dashboard — HTML for GET / (and the /analytics page).
+ *
+ * index.js gathers the service state into a plain view object and this module
+ * turns it into a page. Keeping the markup here stops index.js from turning
+ * into one long template string. The queues that need a form (approvals,
+ * cancellations, exemptions) are rendered here; the status cards, PO table,
+ * action feed, log tail and backfill progress are drawn in the browser by
+ * liveClient() from the /api/live event stream (see live.js).
+ */
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderSiteFilter(sites, selectedSite) {
+  if (sites.length < 2) return '';
+  const options = [`<option value="">All sites</option>`]
+    .concat(sites.map(s =>
+      `<option value="${escapeHtml(s.id)}" ${s.id === selectedSite ? 'selected' : ''}>${escapeHtml(s.name)}</option>`
+    ));
+  return `
+    <div class="site-filter">
+        <label class="label" for="site">Site</label>
+        <select id="site" onchange="filterSite(this.value)">${options.join('')}</select>
+    </div>`;
+}
+
+function renderExemptions(list, canOperate) {
+  const rows = list.map(e => `
+            <tr>
+                <td>${escapeHtml(e.kind)}</td>
+                <td>${escapeHtml(e.value)}</td>
+                <td>${escapeHtml(e.reason)}</td>
+                <td>${e.expiresAt ? new Date(e.expiresAt).toLocaleString() : 'never'}</td>
+                <td>${escapeHtml(e.createdBy)}</td>
+                <td>${canOperate ? `<button data-id="${escapeHtml(e.id)}" onclick="removeExemption(this.dataset.id)">Remove</button>` : ''}</td>
+            </tr>`).join('');
+  return `
+    <div class="card recent-data">
+        <h3>Exemptions</h3>
+        <p class="label">Over-limit POs matching an exemption are marked EXEMPT and never voided.</p>
+        ${list.length ? `
+        <table>
+            <tr><th>Type</th><th>Value</th><th>Reason</th><th>Expires</th><th>Added By</th><th></th></tr>
+            ${rows}
+        </table>` : '<p class="label">No active exemptions.</p>'}
+        ${canOperate ? `
+        <form class="inline-form" onsubmit="addExemption(event)">
+            <select name="kind">
+                <option value="po">PO</option>
+                <option value="truck">Truck ID</option>
+                <option value="carrier">Carrier</option>
+            </select>
+            <input name="value" placeholder="PO / truck / carrier" required>
+            <input name="reason" placeholder="Reason" required>
+            <input name="expiresAt" type="datetime-local" title="Expiry (optional)">
+            <button type="submit">Add Exemption</button>
+        </form>` : ''}
+    </div>`;
+}
+
+function renderApprovals(list, canOperate) {
+  const rows = list.map(a => `
+            <tr>
+                <td>${escapeHtml(a.poNumber)}</td>
+                <td>${escapeHtml(a.carrier)}</td>
+                <td>${a.palletsIn}</td>
+                <td>${a.restacksUpstacks}</td>
+                <td>${escapeHtml(a.rule)}</td>
+                <td>${new Date(a.expiresAt).toLocaleTimeString()}</td>
+                <td>${canOperate ? `
+                    <button data-id="${escapeHtml(a.id)}" onclick="decide(this.dataset.id, 'approve')">Approve Void</button>
+                    <button data-id="${escapeHtml(a.id)}" onclick="decide(this.dataset.id, 'reject')">Reject</button>` : ''}
+                </td>
+            </tr>`).join('');
+  return `
+    <div class="card recent-data">
+        <h3>Pending Approvals</h3>
+        <p class="label">Held voids wait here for a supervisor. Approved items are voided on the next scan; rejected items keep their payment.</p>
+        ${list.length ? `
+        <table>
+            <tr><th>PO</th><th>Carrier</th><th>Pallets In</th><th>Restacks/Upstacks</th><th>Rule</th><th>Times Out</th><th></th></tr>
+            ${rows}
+        </table>` : '<p class="label">Nothing waiting for approval.</p>'}
+    </div>`;
+}
+
+function renderCancellations(list, canOperate) {
+  if (!list.length) return '';
+  const rows = list.map(c => `
+            <tr>
+                <td>${new Date(c.timestamp).toLocaleTimeString()}</td>
+                <td>${escapeHtml(c.poNumber)}</td>
+                <td>${escapeHtml(c.carrier)}</td>
+                <td>${c.palletsIn}</td>
+                <td>${c.restacksUpstacks}</td>
+                <td>${escapeHtml(c.driverWalletCheckoutID)}</td>
+                <td>${c.reversal
+                  ? `<span class="warn">Reversed by ${escapeHtml(c.reversal.reversedBy)}</span> <a href="/api/cancellations/${escapeHtml(c.id)}/reversal" target="_blank">report</a>`
+                  : canOperate ? `<button data-id="${escapeHtml(c.id)}" data-po="${escapeHtml(c.poNumber)}" onclick="reverseVoid(this.dataset.id, this.dataset.po)">Reverse</button>` : ''}</td>
+            </tr>`).join('');
+  return `
+    <div class="card recent-data">
+        <h3>Today's Cancellations</h3>
+        <p class="label">Reversing a void produces a report for the payments team and stops the scanner voiding that PO again.</p>
+        <table>
+            <tr><th>Voided</th><th>PO</th><th>Carrier</th><th>Pallets In</th><th>Restacks/Upstacks</th><th>Checkout ID</th><th></th></tr>
+            ${rows}
+        </table>
+    </div>`;
+}
+
+// Confirmation / result page for the signed approval links in alert emails.
+function renderApprovalPage({ item, decision, exp, sig, user, done, error }) {
+  let body;
+  if (error) {
+    body = `<p class="error">${escapeHtml(error)}</p>`;
+  } else if (done) {
+    body = `<p class="${item.status === 'approved' ? 'ok' : 'warn'}">PO ${escapeHtml(item.poNumber)} ${escapeHtml(item.status)} by ${escapeHtml(item.decidedBy)}.</p>
+        <p class="label">${item.status === 'approved' ? 'The payment will be voided on the next scan.' : 'The payment will not be voided.'}</p>`;
+  } else if (item.status !== 'pending') {
+    body = `<p class="warn">PO ${escapeHtml(item.poNumber)} was already ${escapeHtml(item.status)} by ${escapeHtml(item.decidedBy)} (${escapeHtml(item.decidedVia)}).</p>`;
+  } else {
+    body = `
+        <p><strong>PO:</strong> ${escapeHtml(item.poNumber)} | <strong>Carrier:</strong> ${escapeHtml(item.carrier)}</p>
+        <p><strong>Pallets In:</strong> ${item.palletsIn} | <strong>Restacks/Upstacks:</strong> ${item.restacksUpstacks}</p>
+        <p class="label">Deciding as ${escapeHtml(user.username)}</p>
+        <form method="POST" class="inline-form">
+            <input type="hidden" name="exp" value="${escapeHtml(exp)}">
+            <input type="hidden" name="sig" value="${escapeHtml(sig)}">
+            ${user.csrf ? `<input type="hidden" name="_csrf" value="${escapeHtml(user.csrf)}">` : ''}
+            <input name="note" placeholder="Note (optional)">
+            <button type="submit">${decision === 'approve' ? 'Approve Void' : 'Reject — Keep Payment'}</button>
+        </form>`;
+  }
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Pallet Guard - Approval</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { font-family: monospace; background: #0a0f1a; color: #e8ecf1; margin: 20px; }
+        .header { color: #f0a030; font-size: 24px; margin-bottom: 20px; }
+        .card { background: #12161c; border: 1px solid #2a3140; border-radius: 8px; padding: 15px; max-width: 640px; }
+        .label { color: #8895a7; font-size: 12px; }
+        .ok { color: #2dd4a0; }
+        .warn { color: #f0a030; }
+        .error { color: #ef4444; }
+        .inline-form { margin-top: 12px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        input { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 6px 10px; border-radius: 4px; }
+        button { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="header">🛡️ PALLET GUARD APPROVAL</div>
+    <div class="card">${body}</div>
+</body>
+</html>
+  `;
+}
+
+function renderLoginPage({ error, next, username, noUsers }) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Pallet Guard - Log In</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { font-family: monospace; background: #0a0f1a; color: #e8ecf1; margin: 20px; }
+        .header { color: #f0a030; font-size: 24px; margin-bottom: 20px; }
+        .card { background: #12161c; border: 1px solid #2a3140; border-radius: 8px; padding: 15px; max-width: 420px; }
+        .label { color: #8895a7; font-size: 12px; }
+        .error { color: #ef4444; }
+        form { display: flex; flex-direction: column; gap: 10px; }
+        input { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 10px; border-radius: 4px; }
+        button { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="header">🛡️ PALLET GUARD</div>
+    <div class="card">
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        ${noUsers ? `<p class="label">No users yet. On the server run: <code>node manage-users.js add &lt;username&gt; --role admin</code></p>` : ''}
+        <form method="POST" action="/login">
+            <input type="hidden" name="next" value="${escapeHtml(next || '/')}">
+            <input name="username" placeholder="Username" value="${escapeHtml(username || '')}" autocomplete="username" required autofocus>
+            <input name="password" type="password" placeholder="Password" autocomplete="current-password" required>
+            <button type="submit">Log In</button>
+        </form>
+    </div>
+</body>
+</html>
+  `;
+}
+
+// Runs in the browser: keeps the status cards, PO table, action feed and log
+// tail current from the /api/live event stream. Serialized into the page with
+// toString(), so it must only use its `config` argument and browser globals.
+function liveClient(config) {
+  const MAX_LOG_LINES = 500;
+  const MAX_FEED = 50;
+  const STATUS_CLASS = {
+    CANCELLED: 'error', OVER: 'warn', WOULD_CANCEL: 'warn', PENDING_APPROVAL: 'warn',
+    VOID_UNJUSTIFIED: 'warn', EXEMPT: 'ok', RELEASED: 'ok', REVERSED: 'ok'
+  };
+  const ACTION_CLASS = {
+    cancelled: 'error', 'void-failed': 'error', 'would-cancel': 'warn', held: 'warn',
+    'over-alert': 'warn', 'over-no-wallet': 'warn', 'void-no-longer-justified': 'warn', exempt: 'ok'
+  };
+  const COLUMNS = [
+    ['site', 'Site'], ['subDept', 'Subdept'], ['poNumber', 'PO'], ['truckId', 'Truck'], ['carrier', 'Carrier'],
+    ['palletsIn', 'Pallets In'], ['restacksUpstacks', 'Restacks/Upstacks'], ['rule', 'Rule'], ['status', 'Status']
+  ].filter(([key]) => key !== 'site' || (config.sites.length > 1 && !config.site));
+  const siteNames = Object.fromEntries(config.sites.map(s => [s.id, s.name]));
+
+  let status = null;
+  let scan = null;
+  let feed = [];
+  let logLines = [];
+  let backfill = null;
+  let sort = { key: 'poNumber', dir: 1 };
+
+  const $ = id => document.getElementById(id);
+  const esc = value => String(value == null ? '' : value).replace(/[&<>"']/g,
+    c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const card = (cls, metric, label) =>
+    '<div class="card"><div class="metric ' + cls + '">' + metric + '</div><div class="label">' + label + '</div></div>';
+
+  function renderStatus() {
+    if (!status) return;
+    const s = status;
+    const up = Math.floor((Date.now() - new Date(s.stats.startTime).getTime()) / 1000);
+    const n = s.notifications;
+    $('status').innerHTML = [
+      card(s.authenticated ? 'ok' : 'error', s.authenticated ? 'AUTHENTICATED' : 'NOT AUTHENTICATED', 'Authentication Status'),
+      card(s.scanning ? 'ok' : 'warn', s.scanning ? 'SCANNING' : 'STOPPED', 'Scanner Status'),
+      card(s.mode === 'enforce' ? 'ok' : 'warn', esc(s.mode.toUpperCase()), 'Scan Mode'),
+      card('', Math.floor(up / 3600) + 'h ' + Math.floor((up % 3600) / 60) + 'm', 'Uptime'),
+      card('', s.stats.successfulScans + '/' + s.stats.totalScans, 'Successful Scans'),
+      card(n.failed ? 'error' : n.pending ? 'warn' : 'ok', n.failed ? n.failed + ' FAILED' : n.pending + ' QUEUED',
+        '<a href="/api/notifications' + (n.failed ? '?status=failed' : '') + '" target="_blank">Notifications</a>')
+    ].join('');
+
+    $('banners').innerHTML = (s.mode === 'shadow'
+      ? '<div class="shadow-banner">👻 <strong>SHADOW MODE</strong> — over-limit POs are recorded as "would cancel"; no wallet payments are being voided.</div>' : '')
+      + (s.mode === 'approval'
+        ? '<div class="shadow-banner">⏸️ <strong>APPROVAL MODE</strong> — over-limit payments are held until a supervisor approves the void.</div>' : '')
+      + (s.outage
+        ? '<div class="shadow-banner error">🚨 <strong>SCANNER DOWN</strong> since ' + new Date(s.outage.startedAt).toLocaleTimeString() + ' — ' + esc(s.outage.reason) + '</div>' : '');
+
+    $('last-error').innerHTML = s.stats.lastError
+      ? '<div class="card recent-data"><h3 class="error">Last Error</h3><p>' + esc(s.stats.lastError) + '</p></div>' : '';
+
+    if (config.isAdmin) {
+      $('mode-buttons').innerHTML = config.modes.filter(m => m !== s.mode).map(m =>
+        '<button onclick="setMode(\'' + m + '\')">Switch to ' + m[0].toUpperCase() + m.slice(1) + ' Mode</button>').join('');
+    }
+    if (s.pendingApprovals !== config.pendingApprovals) showReload('Approval queue changed');
+  }
+
+  function renderScan() {
+    const rows = scan ? scan.poData : [];
+    $('last-scan').innerHTML = scan
+      ? '<div class="card recent-data"><h3>Last Scan Results' + (config.site ? ' — ' + esc(siteNames[config.site]) : '') + '</h3>'
+        + '<p><strong>Time:</strong> ' + new Date(scan.timestamp).toLocaleString() + '</p>'
+        + '<p><strong>PO Count:</strong> ' + scan.poCount + ' | <strong>Over Limit:</strong> ' + scan.overCount
+        + ' | <strong>Cancelled:</strong> ' + scan.cancelledCount
+        + (scan.wouldCancelCount ? ' | <strong>Would Cancel:</strong> ' + scan.wouldCancelCount : '')
+        + (scan.exemptCount ? ' | <strong>Exempt:</strong> ' + scan.exemptCount : '')
+        + (scan.pendingApprovalCount ? ' | <strong>Pending Approval:</strong> ' + scan.pendingApprovalCount : '')
+        + (scan.unjustifiedCount ? ' | <strong class="warn">Void No Longer Justified:</strong> ' + scan.unjustifiedCount : '')
+        + '</p><p><strong>Actions Taken:</strong> ' + scan.actions + '</p></div>'
+      : '';
+
+    if (config.sites.length > 1 && !config.site) {
+      $('site-summary').innerHTML = '<div class="card recent-data"><h3>Sites</h3><table>'
+        + '<tr><th>Site</th><th>Subdepts</th><th>POs</th><th>Over</th><th>Cancelled</th><th>Would Cancel</th></tr>'
+        + config.sites.map(site => {
+          const pos = rows.filter(p => p.site === site.id);
+          const count = st => pos.filter(p => p.status === st).length;
+          return '<tr><td>' + esc(site.name) + '</td><td>' + site.subdepts.join(', ') + '</td><td>' + pos.length + '</td><td>'
+            + count('OVER') + '</td><td>' + count('CANCELLED') + '</td><td>' + count('WOULD_CANCEL') + '</td></tr>';
+        }).join('') + '</table></div>';
+    }
+
+    fillSelect('filter-subdept', rows.map(p => p.subDept));
+    fillSelect('filter-carrier', rows.map(p => p.carrier));
+    fillSelect('filter-status', rows.map(p => p.status));
+    renderTable();
+  }
+
+  // Keep the chosen value while the options follow the data
+  function fillSelect(id, values) {
+    const select = $(id);
+    const current = select.value;
+    const options = [...new Set(values.filter(v => v !== null && v !== undefined && v !== '').map(String))].sort();
+    if (current && !options.includes(current)) options.unshift(current);
+    select.innerHTML = '<option value="">All</option>'
+      + options.map(v => '<option value="' + esc(v) + '"' + (v === current ? ' selected' : '') + '>' + esc(v) + '</option>').join('');
+  }
+
+  function renderTable() {
+    const rows = scan ? scan.poData : [];
+    const subDept = $('filter-subdept').value;
+    const carrier = $('filter-carrier').value;
+    const st = $('filter-status').value;
+    const shown = rows
+      .filter(p => (!subDept || String(p.subDept) === subDept) && (!carrier || p.carrier === carrier) && (!st || p.status === st))
+      .sort((a, b) => {
+        const x = a[sort.key];
+        const y = b[sort.key];
+        if (typeof x === 'number' && typeof y === 'number') return (x - y) * sort.dir;
+        return String(x == null ? '' : x).localeCompare(String(y == null ? '' : y), undefined, { numeric: true }) * sort.dir;
+      });
+
+    $('po-count').textContent = scan ? shown.length + ' of ' + rows.length + ' POs' : 'Waiting for the first scan…';
+    $('po-table').innerHTML = '<tr>' + COLUMNS.map(([key, label]) =>
+      '<th class="sortable" onclick="sortBy(\'' + key + '\')">' + label + (sort.key === key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '') + '</th>').join('') + '</tr>'
+      + shown.map(p => '<tr>' + COLUMNS.map(([key]) => {
+        if (key === 'site') return '<td>' + esc(siteNames[p.site] || p.site) + '</td>';
+        if (key === 'truckId') return '<td title="' + esc(p.truckId) + '">' + esc(String(p.truckId || '').substring(0, 8)) + '</td>';
+        if (key === 'status') return '<td class="' + (STATUS_CLASS[p.status] || '') + '">' + esc(p.status) + '</td>';
+        return '<td>' + esc(p[key]) + '</td>';
+      }).join('') + '</tr>').join('');
+  }
+
+  function renderFeed() {
+    $('feed').innerHTML = feed.length
+      ? feed.map(a => '<li><span class="label">' + new Date(a.timestamp).toLocaleTimeString() + '</span> '
+        + '<span class="badge ' + (ACTION_CLASS[a.type] || '') + '">' + esc(a.type) + '</span> '
+        + 'PO ' + esc(a.poNumber) + ' · ' + esc(a.carrier) + ' · ' + esc(a.restacksUpstacks) + ' restacks / ' + esc(a.palletsIn) + ' in'
+        + (config.sites.length > 1 && !config.site ? ' · ' + esc(a.siteName || siteNames[a.site] || a.site) : '') + '</li>').join('')
+      : '<li class="label">No actions yet today.</li>';
+  }
+
+  function renderLog() {
+    const pre = $('log');
+    pre.textContent = logLines.join('\n');
+    if (!$('log-pause').checked) pre.scrollTop = pre.scrollHeight;
+  }
+
+  function renderBackfill() {
+    const j = backfill;
+    if (!j) {
+      $('backfill-progress').innerHTML = '<p class="label">No backfill has run yet.</p>';
+      return;
+    }
+    const percent = j.total ? Math.round(j.done / j.total * 100) : 0;
+    const actions = Object.entries(j.actions).map(([type, n]) => n + ' ' + esc(type)).join(', ') || 'no actions';
+    const cls = j.status === 'running' ? 'warn' : j.status === 'done' ? 'ok' : 'error';
+    $('backfill-progress').innerHTML = '<p><strong>' + esc(j.from) + (j.to !== j.from ? ' to ' + esc(j.to) : '') + '</strong> ('
+      + esc(j.mode) + ', started by ' + esc(j.requestedBy) + ' ' + new Date(j.startedAt).toLocaleString() + ') — '
+      + '<span class="' + cls + '">' + esc(j.status.toUpperCase()) + '</span>'
+      + (j.status === 'running' && config.canOperate ? ' <button onclick="cancelBackfill()">Cancel</button>' : '') + '</p>'
+      + '<div class="progress"><div style="width: ' + percent + '%"></div></div>'
+      + '<p class="label">' + j.done + '/' + j.total + ' subdept-days'
+      + (j.current ? ' · now ' + esc(j.current.date) + ' ' + (j.current.site ? esc(siteNames[j.current.site] || j.current.site) + ' ' : '') + 'SD' + esc(j.current.subDept) : '')
+      + ' · ' + j.pos + ' POs · ' + actions
+      + (j.errors.length ? ' · <span class="error">' + j.errors.length + ' failed: ' + esc(j.errors[j.errors.length - 1].error) + '</span>' : '')
+      + ' · <a href="/api/history?from=' + encodeURIComponent(j.from) + '&to=' + encodeURIComponent(j.to) + '" target="_blank">history</a></p>';
+  }
+
+  function showReload(reason) {
+    $('reload-banner').innerHTML = '<div class="shadow-banner">🔄 ' + esc(reason) + ' — <a href="#" onclick="location.reload(); return false;">reload</a> to act on it.</div>';
+  }
+
+  function setConnection(state) {
+    const el = $('connection');
+    el.className = state === 'live' ? 'ok' : state === 'closed' ? 'error' : 'warn';
+    el.innerHTML = state === 'live' ? '● live' : state === 'closed'
+      ? '● disconnected — <a href="/login?next=' + encodeURIComponent(location.pathname + location.search) + '">log in again</a>'
+      : '● reconnecting…';
+  }
+
+  window.sortBy = key => {
+    sort = { key, dir: sort.key === key ? -sort.dir : 1 };
+    renderTable();
+  };
+  window.renderTable = renderTable;
+  window.renderLog = renderLog;
+
+  const source = new EventSource('/api/live' + (config.site ? '?site=' + encodeURIComponent(config.site) : ''));
+  source.onopen = () => setConnection('live');
+  // EventSource reconnects by itself unless the server refused the stream (e.g. logged out)
+  source.onerror = () => setConnection(source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting');
+  source.addEventListener('hello', e => {
+    const data = JSON.parse(e.data);
+    status = data.status;
+    scan = data.scan;
+    feed = data.actions;
+    logLines = data.logs.slice(-MAX_LOG_LINES);
+    backfill = data.backfill;
+    renderStatus();
+    renderScan();
+    renderFeed();
+    renderLog();
+    renderBackfill();
+  });
+  source.addEventListener('status', e => {
+    status = JSON.parse(e.data);
+    renderStatus();
+  });
+  source.addEventListener('scan', e => {
+    scan = JSON.parse(e.data);
+    renderScan();
+  });
+  source.addEventListener('action', e => {
+    const action = JSON.parse(e.data);
+    feed.unshift(action);
+    feed.length = Math.min(feed.length, MAX_FEED);
+    renderFeed();
+    if (action.type === 'cancelled' || action.type === 'held') showReload('New ' + (action.type === 'held' ? 'approval' : 'cancellation'));
+  });
+  source.addEventListener('backfill', e => {
+    backfill = JSON.parse(e.data);
+    renderBackfill();
+  });
+  source.addEventListener('log', e => {
+    logLines.push(JSON.parse(e.data));
+    if (logLines.length > MAX_LOG_LINES) logLines.shift();
+    renderLog();
+  });
+  setInterval(renderStatus, 60000); // uptime
+}
+
+function render(view) {
+  const { mode, modes, sites, selectedSite, today, yesterday, exemptions, approvals, cancellations, user, csrfToken } = view;
+  const canOperate = user.role === 'operator' || user.role === 'admin';
+  const isAdmin = user.role === 'admin';
+  const selected = sites.find(s => s.id === selectedSite);
+  const monitoring = (selected ? [selected] : sites)
+    .map(s => `${escapeHtml(s.name)} (SD ${s.subdepts.join(' & ')})`)
+    .join(' · ');
+  const client = {
+    site: selectedSite || null,
+    sites: sites.map(s => ({ id: s.id, name: s.name, subdepts: s.subdepts })),
+    modes,
+    isAdmin,
+    canOperate,
+    pendingApprovals: approvals.length
+  };
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Pallet Guard - Monitoring Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { font-family: monospace; background: #0a0f1a; color: #e8ecf1; margin: 20px; }
+        .header { color: #f0a030; font-size: 24px; margin-bottom: 20px; }
+        .subheader { color: #8895a7; font-size: 13px; margin: -14px 0 20px; }
+        .status { display: flex; flex-wrap: wrap; gap: 20px; margin-bottom: 20px; }
+        .card { background: #12161c; border: 1px solid #2a3140; border-radius: 8px; padding: 15px; }
+        .metric { font-size: 18px; color: #f0a030; }
+        .label { color: #8895a7; font-size: 12px; }
+        .ok { color: #2dd4a0; }
+        .warn { color: #f0a030; }
+        .error { color: #ef4444; }
+        .actions { margin-top: 20px; }
+        button { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-right: 10px; }
+        button:hover { background: #3a4555; }
+        select { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 6px 10px; border-radius: 4px; margin-left: 8px; }
+        .site-filter { margin-bottom: 20px; }
+        .inline-form { margin-top: 12px; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        .inline-form input, .inline-form select { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 6px 10px; border-radius: 4px; margin: 0; }
+        input[type=date] { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 6px 10px; border-radius: 4px; margin-right: 10px; }
+        .recent-data { margin-top: 20px; }
+        a { color: #f0a030; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { padding: 8px; text-align: left; border-bottom: 1px solid #2a3140; }
+        th { color: #f0a030; }
+        th.sortable { cursor: pointer; user-select: none; }
+        .refresh { position: fixed; top: 20px; right: 20px; }
+        .user-bar { position: fixed; top: 20px; right: 160px; display: flex; gap: 10px; align-items: center; color: #8895a7; }
+        .shadow-banner { background: #2a3140; border: 2px dashed #8895a7; color: #e8ecf1; padding: 12px 15px; border-radius: 8px; margin-bottom: 20px; font-size: 16px; }
+        .columns { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 20px; }
+        .feed { list-style: none; padding: 0; margin: 10px 0 0; max-height: 320px; overflow-y: auto; }
+        .feed li { padding: 6px 0; border-bottom: 1px solid #2a3140; }
+        .badge { display: inline-block; min-width: 90px; }
+        .progress { background: #2a3140; border-radius: 4px; height: 10px; overflow: hidden; }
+        .progress div { background: #f0a030; height: 100%; }
+        .log { background: #0a0f1a; border: 1px solid #2a3140; padding: 10px; height: 320px; overflow-y: auto; white-space: pre-wrap; font-size: 12px; margin: 10px 0 0; }
+        #notice { min-height: 1.5em; margin-top: 10px; }
+        @media (max-width: 900px) { .columns { grid-template-columns: 1fr; } }
+    </style>
+    <script>
+        function refresh() { location.reload(); }
+
+        // Every change carries the session's CSRF token
+        function send(url, method, body) {
+            return fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': ${JSON.stringify(csrfToken || '')} },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        }
+
+        // Button results show under the buttons instead of in a popup
+        function notice(message, ok) {
+            const el = document.getElementById('notice');
+            el.className = ok ? 'ok' : 'error';
+            el.textContent = message;
+            clearTimeout(notice.timer);
+            notice.timer = setTimeout(() => { el.textContent = ''; }, 10000);
+        }
+
+        async function apiCall(endpoint, method = 'GET') {
+            const response = await send('/api/' + endpoint, method);
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            notice(endpoint + ': ' + (result.success === false ? 'no change' : 'done'), result.success !== false);
+        }
+
+        async function setMode(mode) {
+            const response = await send('/api/mode', 'POST', { mode });
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            refresh();
+        }
+
+        function download(format) {
+            const date = document.getElementById('export-date').value;
+            const site = ${JSON.stringify(selectedSite || '')};
+            location.href = '/api/export?format=' + format + '&date=' + encodeURIComponent(date)
+                + (site ? '&site=' + encodeURIComponent(site) : '');
+        }
+
+        async function addExemption(event) {
+            event.preventDefault();
+            const form = event.target;
+            const body = Object.fromEntries(new FormData(form));
+            if (!body.expiresAt) delete body.expiresAt;
+            else body.expiresAt = new Date(body.expiresAt).toISOString();
+            const response = await send('/api/exemptions', 'POST', body);
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            refresh();
+        }
+
+        async function removeExemption(id) {
+            if (!confirm('Remove this exemption?')) return;
+            await send('/api/exemptions/' + encodeURIComponent(id), 'DELETE');
+            refresh();
+        }
+
+        async function decide(id, decision) {
+            const response = await send('/api/approvals/' + encodeURIComponent(id) + '/' + decision, 'POST');
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            refresh();
+        }
+
+        async function reverseVoid(id, poNumber) {
+            const reason = prompt('Reverse the void for PO ' + poNumber + '? Reason for the reversal:');
+            if (!reason) return;
+            const response = await send('/api/cancellations/' + encodeURIComponent(id) + '/reverse', 'POST', { reason });
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            window.open('/api/cancellations/' + encodeURIComponent(id) + '/reversal', '_blank');
+            refresh();
+        }
+
+        async function startBackfill(event) {
+            event.preventDefault();
+            const body = Object.fromEntries(new FormData(event.target));
+            if (body.mode === 'enforce' && !confirm('Void over-limit payments from ' + body.from + ' to ' + (body.to || body.from) + '?')) return;
+            const response = await send('/api/backfill', 'POST', body);
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+            notice('Backfill started: ' + result.job.total + ' subdept-days', true);
+        }
+
+        async function cancelBackfill() {
+            const response = await send('/api/backfill/cancel', 'POST');
+            const result = await response.json();
+            if (!response.ok) return notice(result.error, false);
+        }
+
+        function filterSite(site) {
+            location.search = site ? '?site=' + encodeURIComponent(site) : '';
+        }
+
+        document.addEventListener('DOMContentLoaded', () => (${liveClient.toString()})(${JSON.stringify(client).replace(/</g, '\\u003c')}));
+    </script>
+</head>
+<body>
+    <div class="header">🛡️ PALLET GUARD MONITORING <span id="connection" class="warn" style="font-size: 13px;">● connecting…</span></div>
+    <div class="subheader">Monitoring: ${monitoring} · <a href="/analytics${selectedSite ? `?site=${encodeURIComponent(selectedSite)}` : ''}">📈 Carrier analytics</a></div>
+
+    <div id="banners"></div>
+    <div id="reload-banner"></div>
+    ${renderSiteFilter(sites, selectedSite)}
+
+    <div class="status" id="status"></div>
+
+    <div class="actions">
+        ${canOperate ? `
+        <button onclick="apiCall('auth', 'POST')">Re-Authenticate</button>
+        <button onclick="apiCall('scan/start', 'POST')">Start Scanner</button>
+        <button onclick="apiCall('scan/stop', 'POST')">Stop Scanner</button>` : ''}
+        <span id="mode-buttons"></span>
+        <div id="notice"></div>
+    </div>
+
+    <div id="last-error"></div>
+    <div id="last-scan"></div>
+    <div id="site-summary"></div>
+
+    <div class="card recent-data">
+        <h3>POs <span class="label" id="po-count"></span></h3>
+        <div class="inline-form">
+            <label class="label">Subdept <select id="filter-subdept" onchange="renderTable()"><option value="">All</option></select></label>
+            <label class="label">Carrier <select id="filter-carrier" onchange="renderTable()"><option value="">All</option></select></label>
+            <label class="label">Status <select id="filter-status" onchange="renderTable()"><option value="">All</option></select></label>
+        </div>
+        <table id="po-table"></table>
+    </div>
+
+    <div class="columns">
+        <div class="card recent-data">
+            <h3>Action Feed</h3>
+            <ul class="feed" id="feed"></ul>
+        </div>
+        <div class="card recent-data">
+            <h3>Service Log <label class="label"><input type="checkbox" id="log-pause" onchange="renderLog()"> pause scrolling</label></h3>
+            <pre class="log" id="log"></pre>
+        </div>
+    </div>
+
+    ${approvals.length || mode === 'approval' ? renderApprovals(approvals, canOperate) : ''}
+
+    ${renderCancellations(cancellations, canOperate)}
+
+    ${renderExemptions(exemptions, canOperate)}
+
+    <div class="card recent-data">
+        <h3>Backfill</h3>
+        <p class="label">Re-run the over-limit check for past operational dates the scanner missed. Report only records would-cancel actions; enforce voids.</p>
+        ${canOperate ? `
+        <form class="inline-form" onsubmit="startBackfill(event)">
+            <label class="label">From <input type="date" name="from" max="${escapeHtml(yesterday)}" required></label>
+            <label class="label">To <input type="date" name="to" max="${escapeHtml(yesterday)}"></label>
+            <input name="subdepts" placeholder="Subdepts (default all)">
+            ${selected ? `<input type="hidden" name="site" value="${escapeHtml(selected.id)}">` : ''}
+            <select name="mode"><option value="report">Report only</option><option value="enforce">Enforce</option></select>
+            <button type="submit">Start Backfill</button>
+        </form>` : ''}
+        <div id="backfill-progress"></div>
+    </div>
+
+    <div class="card recent-data">
+        <h3>Daily Export</h3>
+        <p class="label">One row per PO for the operational date${selected ? ` (${escapeHtml(selected.name)} only)` : ''}: pallets in by type, restacks/upstacks, status and void time.</p>
+        <input type="date" id="export-date" value="${escapeHtml(today)}">
+        <button onclick="download('csv')">⬇ CSV</button>
+        <button onclick="download('xlsx')">⬇ Excel</button>
+    </div>
+
+    <form class="user-bar" method="POST" action="/logout">
+        <span>👤 ${escapeHtml(user.username)} (${escapeHtml(user.role)})</span>
+        <input type="hidden" name="_csrf" value="${escapeHtml(csrfToken || '')}">
+        <button type="submit">Log Out</button>
+    </form>
+    <button class="refresh" onclick="refresh()">🔄 Refresh</button>
+</body>
+</html>
+  `;
+}
+
+// Weekly restack ratios as a small line chart; the dashed line is 1.0, where
+// the default rule voids
+function renderSparkline(values) {
+  const width = 120;
+  const height = 28;
+  const points = values.map((v, i) => ({ v, i })).filter(p => p.v !== null);
+  if (!points.length) return '<span class="label">no data</span>';
+  const max = Math.max(1.2, ...points.map(p => p.v));
+  const x = i => values.length > 1 ? (i / (values.length - 1)) * width : width / 2;
+  const y = v => height - (v / max) * height;
+  const line = points.map(p => `${x(p.i).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <line x1="0" x2="${width}" y1="${y(1).toFixed(1)}" y2="${y(1).toFixed(1)}" stroke="#ef4444" stroke-dasharray="3,3" stroke-width="1"/>
+      <polyline points="${line}" fill="none" stroke="#f0a030" stroke-width="1.5"/>
+    </svg>`;
+}
+
+function formatRatio(value) {
+  return value === null ? '–' : value.toFixed(2);
+}
+
+function formatPercent(value) {
+  return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function formatMoney(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+// Carrier scorecards: restack ratio trends, over-limit rates, weekly voids and
+// repeat-offender trucks, from analytics.build()
+function renderAnalyticsPage({ report, error, sites, selectedSite, repeatMinDays, trendHorizonWeeks, user, csrfToken }) {
+  const siteOptions = [`<option value="">All sites</option>`]
+    .concat(sites.map(s => `<option value="${escapeHtml(s.id)}" ${s.id === selectedSite ? 'selected' : ''}>${escapeHtml(s.name)}</option>`))
+    .join('');
+
+  let body = `<p class="error">${escapeHtml(error)}</p>`;
+  if (report) {
+    const trends = report.trends.length
+      ? `<table>
+            <tr><th>Carrier</th><th>Ratio this week</th><th>Change / week</th><th>Weeks to 1.0</th><th>Trend</th></tr>
+            ${report.trends.map(t => `
+            <tr>
+                <td>${escapeHtml(t.carrier)}</td>
+                <td>${formatRatio(t.current)}</td>
+                <td class="warn">+${t.slopePerWeek.toFixed(3)}</td>
+                <td class="warn">${t.weeksToLimit}</td>
+                <td>${renderSparkline(t.ratios)}</td>
+            </tr>`).join('')}
+        </table>`
+      : '<p class="ok">No carrier is trending towards the limit.</p>';
+
+    const carriers = report.carriers.length
+      ? `<table>
+            <tr><th>Carrier</th><th>POs</th><th>Pallets In</th><th>Restacks/Upstacks</th><th>Ratio</th><th>Over Limit</th><th>Over Rate</th><th>Voids</th><th>Voided</th><th>Weekly Ratio</th></tr>
+            ${report.carriers.map(c => `
+            <tr>
+                <td>${escapeHtml(c.carrier)}</td>
+                <td>${c.pos}</td>
+                <td>${c.palletsIn}</td>
+                <td>${c.restacks}</td>
+                <td class="${c.ratio > 1 ? 'error' : ''}">${formatRatio(c.ratio)}</td>
+                <td>${c.overPos}</td>
+                <td>${formatPercent(c.overRate)}</td>
+                <td>${c.voids}</td>
+                <td>${formatMoney(c.voidedAmount)}</td>
+                <td>${renderSparkline(c.weeks.map(w => w.ratio))}</td>
+            </tr>`).join('')}
+        </table>`
+      : '<p class="label">No POs in this range.</p>';
+
+    const maxVoids = Math.max(1, ...report.voids.map(w => w.count));
+    const voids = `<table>
+            <tr><th>Week of</th><th>Voids</th><th>Amount</th><th>Reversed</th><th></th></tr>
+            ${report.voids.map(w => `
+            <tr>
+                <td>${escapeHtml(w.week)}</td>
+                <td>${w.count}</td>
+                <td>${formatMoney(w.amount)}</td>
+                <td>${w.reversed}</td>
+                <td><div class="bar" style="width: ${Math.round(w.count / maxVoids * 200)}px"></div></td>
+            </tr>`).join('')}
+        </table>`;
+
+    const trucks = report.trucks.length
+      ? `<table>
+            <tr><th>Truck</th><th>Carrier</th><th>Days Over</th><th>POs Over</th><th>POs</th><th>Ratio</th><th>Voids</th><th>Last Over</th></tr>
+            ${report.trucks.map(t => `
+            <tr>
+                <td>${escapeHtml(t.truckId)}</td>
+                <td>${escapeHtml(t.carriers.join(', '))}</td>
+                <td class="warn">${t.overDays}</td>
+                <td>${t.overPos}</td>
+                <td>${t.pos}</td>
+                <td>${formatRatio(t.ratio)}</td>
+                <td>${t.voids}</td>
+                <td>${escapeHtml(t.lastOver)}</td>
+            </tr>`).join('')}
+        </table>`
+      : '<p class="ok">No truck was over the limit on more than one day.</p>';
+
+    body = `
+    <div class="card recent-data">
+        <h3>⚠️ Trending Towards the Limit</h3>
+        <p class="label">Carriers whose weekly restack ratio (restacks ÷ pallets in) is rising and would reach 1.0 within ${trendHorizonWeeks} weeks at the current pace.</p>
+        ${trends}
+    </div>
+
+    <div class="card recent-data">
+        <h3>Carrier Scorecard</h3>
+        <p class="label">Dashed line: ratio 1.0, where the default rule voids. Over limit counts POs that were over when last seen, voided or not.</p>
+        ${carriers}
+    </div>
+
+    <div class="card recent-data">
+        <h3>Voided Payments per Week</h3>
+        <p class="label">Reversed voids are counted separately, not in the amount.</p>
+        ${voids}
+    </div>
+
+    <div class="card recent-data">
+        <h3>Repeat Offenders</h3>
+        <p class="label">Trucks over the limit on ${repeatMinDays} or more days.</p>
+        ${trucks}
+    </div>`;
+  }
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Pallet Guard - Analytics</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { font-family: monospace; background: #0a0f1a; color: #e8ecf1; margin: 20px; }
+        .header { color: #f0a030; font-size: 24px; margin-bottom: 20px; }
+        .subheader { color: #8895a7; font-size: 13px; margin: -14px 0 20px; }
+        .card { background: #12161c; border: 1px solid #2a3140; border-radius: 8px; padding: 15px; }
+        .label { color: #8895a7; font-size: 12px; }
+        .ok { color: #2dd4a0; }
+        .warn { color: #f0a030; }
+        .error { color: #ef4444; }
+        .recent-data { margin-top: 20px; }
+        .inline-form { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+        .inline-form input, .inline-form select { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 6px 10px; border-radius: 4px; }
+        button { background: #2a3140; color: #e8ecf1; border: 1px solid #3a4555; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+        a { color: #f0a030; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { padding: 8px; text-align: left; border-bottom: 1px solid #2a3140; }
+        th { color: #f0a030; }
+        .bar { background: #f0a030; height: 10px; border-radius: 2px; }
+        .user-bar { position: fixed; top: 20px; right: 20px; display: flex; gap: 10px; align-items: center; color: #8895a7; }
+    </style>
+</head>
+<body>
+    <div class="header">🛡️ PALLET GUARD ANALYTICS</div>
+    <div class="subheader"><a href="/${selectedSite ? `?site=${encodeURIComponent(selectedSite)}` : ''}">← Monitoring dashboard</a>${report ? ` · ${escapeHtml(report.from)} to ${escapeHtml(report.to)}` : ''}</div>
+
+    <form class="card inline-form" method="GET" action="/analytics">
+        ${sites.length > 1 ? `<label class="label">Site <select name="site">${siteOptions}</select></label>` : ''}
+        <label class="label">From <input type="date" name="from" value="${escapeHtml(report ? report.from : '')}"></label>
+        <label class="label">To <input type="date" name="to" value="${escapeHtml(report ? report.to : '')}"></label>
+        <button type="submit">Show</button>
+        <a class="label" href="/api/analytics${selectedSite ? `?site=${encodeURIComponent(selectedSite)}` : ''}">JSON</a>
+    </form>
+
+    ${body}
+
+    <form class="user-bar" method="POST" action="/logout">
+        <span>👤 ${escapeHtml(user.username)} (${escapeHtml(user.role)})</span>
+        <input type="hidden" name="_csrf" value="${escapeHtml(csrfToken || '')}">
+        <button type="submit">Log Out</button>
+    </form>
+</body>
+</html>
+  `;
+}
+
+module.exports = { render, renderApprovalPage, renderLoginPage, renderAnalyticsPage, escapeHtml };
@@ -0,0 +1,70 @@
+/**
+ * Day stats — scanner health counters per operational date, for the digest.
+ *
+ * Kept in data/daystats/YYYY-MM-DD.json:
+ *   { date, scans, failedScans, scannedSeconds, authFailures: [{ at, reason, credentialsId }], digestSentAt }
+ * Each successful scan adds the scan interval it covers to scannedSeconds, and
+ * scanner uptime is derived from that, so a restart or outage shows up as lost
+ * coverage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const api = require('./api');
+
+const DAYSTATS_DIR = path.join(store.DATA_DIR, 'daystats');
+
+let current = null;
+
+function statsFile(dateKey) {
+  return path.join(DAYSTATS_DIR, `${dateKey}.json`);
+}
+
+function load(dateKey) {
+  if (current && current.date === dateKey) return current;
+  const file = statsFile(dateKey);
+  return fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { date: dateKey, scans: 0, failedScans: 0, scannedSeconds: 0, authFailures: [], digestSentAt: null };
+}
+
+function save(stats) {
+  store.ensureDir(DAYSTATS_DIR);
+  const file = statsFile(stats.date);
+  fs.writeFileSync(file + '.tmp', JSON.stringify(stats, null, 2));
+  fs.renameSync(file + '.tmp', file);
+}
+
+// Today's stats, rolling over at the 2:00 AM boundary
+function today() {
+  const dateKey = api.todayLoadEntry();
+  if (!current || current.date !== dateKey) current = load(dateKey);
+  return current;
+}
+
+// intervalMs: the scan interval a successful scan covers
+function recordScan(ok, intervalMs) {
+  const stats = today();
+  if (ok) {
+    stats.scans++;
+    stats.scannedSeconds = (stats.scannedSeconds || 0) + intervalMs / 1000;
+  } else {
+    stats.failedScans++;
+  }
+  save(stats);
+}
+
+function recordAuthFailure(reason, credentialsId) {
+  const stats = today();
+  stats.authFailures.push({ at: new Date().toISOString(), reason, credentialsId: credentialsId || null });
+  save(stats);
+}
+
+function markDigestSent(dateKey) {
+  const stats = load(dateKey);
+  stats.digestSentAt = new Date().toISOString();
+  save(stats);
+}
+
+module.exports = { DAYSTATS_DIR, load, recordScan, recordAuthFailure, markDigestSent };
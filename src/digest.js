@@ -0,0 +1,112 @@
+/**
+ * Shift digest — summary of an operational day, sent at the 2:00 AM boundary.
+ *
+ * Built from the day's snapshots (POs per subdept, over-limit POs, carriers),
+ * the audit trail (voids with amounts from the stored checkout, over-limit POs
+ * without a wallet checkout) and day stats (scanner uptime, auth failures).
+ * The full PO export for the day goes along as a CSV attachment.
+ */
+
+const snapshots = require('./snapshots');
+const audit = require('./audit');
+const daystats = require('./daystats');
+const exporter = require('./export');
+
+const TOP_CARRIERS = 5;
+
+// Statuses that mean the PO was over the limit when last seen
+const OVER_STATUSES = ['OVER', 'CANCELLED', 'WOULD_CANCEL', 'PENDING_APPROVAL', 'RELEASED', 'EXEMPT', 'REVERSED'];
+
+// Checkout records from Load Entry don't have a fixed amount field name
+const AMOUNT_FIELDS = ['amount', 'totalAmount', 'checkoutAmount', 'paymentAmount', 'total'];
+
+function checkoutAmount(checkout) {
+  if (!checkout) return null;
+  for (const field of AMOUNT_FIELDS) {
+    const value = parseFloat(checkout[field]);
+    if (!isNaN(value)) return value;
+  }
+  return null;
+}
+
+function previousDateKey(dateKey) {
+  const d = new Date(`${dateKey}T00:00:00`);
+  d.setDate(d.getDate() - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function build(dateKey) {
+  const rows = snapshots.load(dateKey);
+  const records = audit.query({ from: dateKey });
+  const stats = daystats.load(dateKey);
+
+  const bySubdept = {};
+  const byCarrier = {};
+  for (const row of rows) {
+    const key = `${row.site || ''}|${row.subDept}`;
+    const entry = bySubdept[key] || (bySubdept[key] = { site: row.site || null, subDept: row.subDept, poCount: 0, overCount: 0 });
+    entry.poCount++;
+    if (OVER_STATUSES.includes(row.status)) {
+      entry.overCount++;
+      const carrier = row.carrier || 'Unknown';
+      byCarrier[carrier] = (byCarrier[carrier] || 0) + 1;
+    }
+  }
+
+  const voided = records.filter(r => r.type === 'cancelled').map(r => ({
+    site: r.site || null,
+    subDept: r.subDept,
+    poNumber: r.poNumber,
+    carrier: r.carrier,
+    driverWalletCheckoutID: r.driverWalletCheckoutID,
+    amount: checkoutAmount(r.checkout),
+    voidedAt: r.timestamp,
+    reversed: !!r.reversal
+  }));
+  const noWallet = records.filter(r => r.type === 'over-no-wallet').map(r => ({
+    site: r.site || null,
+    subDept: r.subDept,
+    poNumber: r.poNumber,
+    carrier: r.carrier,
+    palletsIn: r.palletsIn,
+    restacksUpstacks: r.restacksUpstacks
+  }));
+  const amounts = voided.filter(v => !v.reversed && v.amount != null).map(v => v.amount);
+
+  return {
+    date: dateKey,
+    totals: {
+      poCount: rows.length,
+      overCount: rows.filter(r => OVER_STATUSES.includes(r.status)).length,
+      voidedCount: voided.filter(v => !v.reversed).length,
+      reversedCount: voided.filter(v => v.reversed).length,
+      voidedAmount: amounts.length ? Math.round(amounts.reduce((a, b) => a + b, 0) * 100) / 100 : null,
+      noWalletCount: noWallet.length
+    },
+    subdepts: Object.values(bySubdept).sort((a, b) => String(a.site).localeCompare(String(b.site)) || a.subDept - b.subDept),
+    voided,
+    noWallet,
+    topCarriers: Object.entries(byCarrier)
+      .map(([carrier, overCount]) => ({ carrier, overCount }))
+      .sort((a, b) => b.overCount - a.overCount)
+      .slice(0, TOP_CARRIERS),
+    uptime: {
+      scans: stats.scans,
+      failedScans: stats.failedScans,
+      // null for days recorded before scannedSeconds was kept
+      percent: stats.scannedSeconds == null ? null : Math.min(100, Math.round(stats.scannedSeconds / 86400 * 1000) / 10)
+    },
+    authFailures: stats.authFailures,
+    digestSentAt: stats.digestSentAt
+  };
+}
+
+function csvAttachment(dateKey) {
+  return {
+    filename: `pallet-guard-${dateKey}.csv`,
+    content: exporter.toCsv(exporter.buildRows(dateKey)),
+    contentType: 'text/csv'
+  };
+}
+
+module.exports = { OVER_STATUSES, build, csvAttachment, checkoutAmount, previousDateKey };
@@ -0,0 +1,115 @@
+/**
+ * Exemptions — supervisor overrides that stop the scanner voiding a payment.
+ *
+ * Stored in data/exemptions.json. Each entry exempts one PO number, truck ID
+ * or carrier name (case-insensitive) and carries a reason, who added it (and who
+ * last changed it) and an optional expiry. Expired entries stay in the file for the record but no
+ * longer match.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const EXEMPTIONS_FILE = path.join(store.DATA_DIR, 'exemptions.json');
+const KINDS = ['po', 'truck', 'carrier'];
+
+let entries = null;
+
+function load() {
+  if (!entries) {
+    entries = fs.existsSync(EXEMPTIONS_FILE)
+      ? JSON.parse(fs.readFileSync(EXEMPTIONS_FILE, 'utf8'))
+      : [];
+  }
+  return entries;
+}
+
+function persist() {
+  store.ensureDir(path.dirname(EXEMPTIONS_FILE));
+  fs.writeFileSync(EXEMPTIONS_FILE + '.tmp', JSON.stringify(entries, null, 2));
+  fs.renameSync(EXEMPTIONS_FILE + '.tmp', EXEMPTIONS_FILE);
+}
+
+function isActive(entry, now = new Date()) {
+  return !entry.expiresAt || new Date(entry.expiresAt) > now;
+}
+
+function validate(fields) {
+  if (!KINDS.includes(fields.kind)) {
+    throw new Error(`kind must be one of ${KINDS.join(', ')}`);
+  }
+  if (!fields.value || !String(fields.value).trim()) {
+    throw new Error('value is required');
+  }
+  if (!fields.reason || !String(fields.reason).trim()) {
+    throw new Error('reason is required');
+  }
+  if (fields.expiresAt && isNaN(new Date(fields.expiresAt))) {
+    throw new Error('expiresAt must be a date');
+  }
+}
+
+function list({ includeExpired = false } = {}) {
+  return load().filter(e => includeExpired || isActive(e));
+}
+
+function add({ kind, value, reason, expiresAt, createdBy }) {
+  validate({ kind, value, reason, expiresAt });
+  const entry = {
+    id: crypto.randomUUID(),
+    kind,
+    value: String(value).trim(),
+    reason: String(reason).trim(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdBy: createdBy || 'unknown',
+    createdAt: new Date().toISOString()
+  };
+  load().push(entry);
+  persist();
+  return entry;
+}
+
+const EDITABLE = ['kind', 'value', 'reason', 'expiresAt'];
+
+// Change an entry's editable fields; fields left undefined keep their value
+function update(id, fields, updatedBy) {
+  const entry = load().find(e => e.id === id);
+  if (!entry) return null;
+  const next = { ...entry };
+  for (const key of EDITABLE) {
+    if (fields[key] !== undefined) next[key] = fields[key];
+  }
+  validate(next);
+  next.value = String(next.value).trim();
+  next.reason = String(next.reason).trim();
+  next.expiresAt = next.expiresAt ? new Date(next.expiresAt).toISOString() : null;
+  next.updatedBy = updatedBy || 'unknown';
+  next.updatedAt = new Date().toISOString();
+  Object.assign(entry, next);
+  persist();
+  return entry;
+}
+
+function remove(id) {
+  const list = load();
+  const index = list.findIndex(e => e.id === id);
+  if (index === -1) return null;
+  const [removed] = list.splice(index, 1);
+  persist();
+  return removed;
+}
+
+// First active exemption covering this PO, truck or carrier — or null.
+function find({ poNumber, truckId, carrier }) {
+  const now = new Date();
+  const lower = v => String(v || '').toLowerCase().trim();
+  return load().find(e => isActive(e, now) && (
+    (e.kind === 'po' && e.value === poNumber)
+    || (e.kind === 'truck' && e.value === truckId)
+    || (e.kind === 'carrier' && lower(e.value) === lower(carrier))
+  )) || null;
+}
+
+module.exports = { KINDS, list, add, update, remove, find };
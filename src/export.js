@@ -0,0 +1,88 @@
+/**
+ * Export — one row per PO for an operational date, as CSV or Excel.
+ *
+ * Rows come from the daily snapshots (snapshots.js); the void timestamp is
+ * taken from the audit trail's 'cancelled' record for the PO.
+ */
+
+const ExcelJS = require('exceljs');
+const snapshots = require('./snapshots');
+const audit = require('./audit');
+
+const COLUMNS = [
+  { key: 'date', header: 'Operational Date', width: 14 },
+  { key: 'site', header: 'Site', width: 10 },
+  { key: 'subDept', header: 'Subdept', width: 9 },
+  { key: 'poNumber', header: 'PO', width: 14 },
+  { key: 'truckId', header: 'Truck', width: 38 },
+  { key: 'carrier', header: 'Carrier', width: 28 },
+  { key: 'white', header: 'White In', width: 9 },
+  { key: 'chep', header: 'CHEP In', width: 9 },
+  { key: 'peco', header: 'PECO In', width: 9 },
+  { key: 'igps', header: 'iGPS In', width: 9 },
+  { key: 'palletsIn', header: 'Pallets In', width: 10 },
+  { key: 'restacksUpstacks', header: 'Restacks/Upstacks', width: 17 },
+  { key: 'rule', header: 'Rule', width: 14 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'driverWalletCheckoutID', header: 'Checkout ID', width: 38 },
+  { key: 'voidedAt', header: 'Voided At', width: 24 }
+];
+
+function buildRows(dateKey, { site } = {}) {
+  const voidedAt = {};
+  for (const rec of audit.query({ from: dateKey, type: 'cancelled' })) {
+    voidedAt[`${rec.site || ''}|${rec.subDept}|${rec.poNumber}`] = rec.timestamp;
+  }
+
+  return snapshots.load(dateKey)
+    .filter(row => !site || row.site === site)
+    .map(row => {
+      const pallets = row.pallets || {};
+      return {
+        date: dateKey,
+        site: row.site || '',
+        subDept: row.subDept,
+        poNumber: row.poNumber,
+        truckId: row.truckId,
+        carrier: row.carrier,
+        white: pallets.white || 0,
+        chep: pallets.chep || 0,
+        peco: pallets.peco || 0,
+        igps: pallets.igps || 0,
+        palletsIn: row.palletsIn,
+        restacksUpstacks: row.restacksUpstacks,
+        rule: row.rule || '',
+        status: row.status,
+        driverWalletCheckoutID: row.driverWalletCheckoutID || '',
+        voidedAt: voidedAt[`${row.site || ''}|${row.subDept}|${row.poNumber}`] || ''
+      };
+    });
+}
+
+// Text from the APIs (carriers, trucks, POs) that a spreadsheet would run as a formula gets a leading '
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(c => csvCell(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(COLUMNS.map(c => csvCell(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+async function toXlsx(rows, dateKey) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Pallet Guard';
+  const sheet = workbook.addWorksheet(`POs ${dateKey}`);
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.addRows(rows);
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { COLUMNS, buildRows, toCsv, toXlsx };
@@ -0,0 +1,117 @@
+/**
+ * Live updates for the dashboard — a Server-Sent Events stream (GET /api/live).
+ *
+ * Events, each with a JSON `data:` line:
+ *   hello    — on connect: { status, scan, actions, logs, backfill } so the page can draw itself
+ *   status   — scanner, auth, mode or queue counts changed
+ *   scan     — the latest scan result with its PO rows, after every scan
+ *   action   — one action as it happens (cancelled, would-cancel, held, over-alert, ...)
+ *   log      — one service log line
+ *   backfill — a backfill job's progress (see backfill.js)
+ * A client connected with ?site= only gets that site's POs and actions. The
+ * last LIVE_LOG_LINES (default 200) log lines and ACTION_HISTORY actions are
+ * kept in memory for pages opened later. A comment line every 25 s keeps
+ * proxies from closing an idle stream.
+ */
+
+const LOG_LINES = parseInt(process.env.LIVE_LOG_LINES, 10) || 200;
+const ACTION_HISTORY = 50;
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+const logs = [];
+const actions = [];
+let heartbeat = null;
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function forSite(site, item) {
+  return !site || !item.site || item.site === site;
+}
+
+/**
+ * Open a stream on an Express response.
+ * @param {Object} hello - first event; `actions` and `logs` are filled in here
+ */
+function connect(req, res, { site = null, hello = {} } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  const client = { res, site, user: req.user ? req.user.username : null };
+  clients.add(client);
+  send(client, 'hello', {
+    ...hello,
+    actions: actions.filter(a => forSite(site, a)),
+    logs
+  });
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const c of clients) c.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+  }
+  req.on('close', () => {
+    clients.delete(client);
+    if (!clients.size) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+}
+
+/**
+ * Send an event to every client.
+ * @param {*|Function} data - or (client) => data, to narrow it per client (null skips)
+ */
+function publish(event, data) {
+  for (const client of clients) {
+    const payload = typeof data === 'function' ? data(client) : data;
+    if (payload !== null && payload !== undefined) send(client, event, payload);
+  }
+}
+
+// What the action feed shows — no snapshots or checkout bodies
+function feedItem(action) {
+  return {
+    type: action.type,
+    timestamp: action.timestamp,
+    site: action.site,
+    siteName: action.siteName,
+    subDept: action.subDept,
+    poNumber: action.poNumber,
+    truckId: action.truckId,
+    carrier: action.carrier,
+    palletsIn: action.palletsIn,
+    restacksUpstacks: action.restacksUpstacks,
+    rule: action.rule,
+    reason: action.reason,
+    driverWalletCheckoutID: action.driverWalletCheckoutID,
+    shadow: action.shadow
+  };
+}
+
+function action(entry) {
+  const item = feedItem(entry);
+  actions.unshift(item);
+  actions.length = Math.min(actions.length, ACTION_HISTORY);
+  publish('action', client => (forSite(client.site, item) ? item : null));
+}
+
+function logLine(line) {
+  logs.push(line);
+  if (logs.length > LOG_LINES) logs.shift();
+  publish('log', line);
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = { connect, publish, action, logLine, clientCount };
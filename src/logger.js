@@ -0,0 +1,182 @@
+/**
+ * Logger — levelled, structured logging shared by every module.
+ *
+ *   const logger = require('./logger');
+ *   const log = logger.child({ component: 'auth' });
+ *   log.info('Token acquired', { credentials: 'dc9' });
+ *   log.warn(...); log.error(...); log.debug(...);
+ *
+ * Each line is a record { time, level, msg, ...context, ...fields }. Context
+ * set with withContext(fields, fn) follows every line logged inside fn,
+ * across awaits — performScan sets a scanId per cycle and the scanner adds
+ * site and subDept, so one cycle's lines can be pulled out with a single grep.
+ * Pass { po } (and anything else relevant) as fields.
+ *
+ * Settings:
+ *   LOG_LEVEL          debug | info (default) | warn | error
+ *   LOG_FORMAT         json (default) — one JSON object per line on stdout;
+ *                      text — the classic "[time] message" lines
+ *   LOG_DIR            also write JSON lines to LOG_DIR/pallet-guard-YYYY-MM-DD.log,
+ *                      rolled daily and at LOG_MAX_SIZE_MB (default 50)
+ *   LOG_RETENTION_DAYS delete log files older than this (default 14)
+ *
+ * Everything is redacted before it is written: JWTs (and their prefixes),
+ * bearer tokens, API token secrets, and fields named like password / secret /
+ * token / cookie / authorization.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_DIR = process.env.LOG_DIR || null;
+const MAX_FILE_BYTES = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 50) * 1024 * 1024;
+const RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14;
+const FILE_PREFIX = 'pallet-guard-';
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /pass|secret|token|cookie|authorization/i;
+const SECRET_PATTERNS = [
+  [/\beyJ[\w-]{6,}(?:\.[\w-]*){0,2}(?:\.\.\.)?/g, REDACTED], // JWTs, whole or truncated
+  [/\b(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/\b(pgt_[0-9a-f]{12}_)[\w-]+/g, `$1${REDACTED}`]
+];
+
+const context = new AsyncLocalStorage();
+const sinks = [];
+let file = null; // { stream, name, bytes }
+
+function redactText(text) {
+  return SECRET_PATTERNS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), String(text));
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object' || depth > 4) return value;
+  if (value instanceof Error) return redactText(value.message);
+  if (value instanceof Date) return value.toISOString();
+  const out = Array.isArray(value) ? [] : {};
+  for (const [key, inner] of Object.entries(value)) {
+    out[key] = SECRET_FIELD.test(key) && inner ? REDACTED : redact(inner, depth + 1);
+  }
+  return out;
+}
+
+function formatText(record) {
+  const prefix = record.component ? `[${record.component.toUpperCase()}] ` : '';
+  return `[${record.time}] ${prefix}${record.msg}`;
+}
+
+// --- file sink ---
+
+function fileNameFor(time, part = 0) {
+  return `${FILE_PREFIX}${time.slice(0, 10)}${part ? `.${part}` : ''}.log`;
+}
+
+function pruneFiles() {
+  const cutoff = Date.now() - RETENTION_DAYS * 86400000;
+  for (const name of fs.readdirSync(LOG_DIR)) {
+    if (!name.startsWith(FILE_PREFIX)) continue;
+    const full = path.join(LOG_DIR, name);
+    if (fs.statSync(full).mtimeMs < cutoff) fs.unlinkSync(full);
+  }
+}
+
+// The file to write to: today's, or the next part once it's full
+function openFile(time) {
+  const day = fileNameFor(time);
+  if (file && file.day === day && file.bytes < MAX_FILE_BYTES) return file;
+  if (file) file.stream.end();
+
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  let part = 0;
+  let name = day;
+  while (fs.existsSync(path.join(LOG_DIR, name)) && fs.statSync(path.join(LOG_DIR, name)).size >= MAX_FILE_BYTES) {
+    name = fileNameFor(time, ++part);
+  }
+  const full = path.join(LOG_DIR, name);
+  file = {
+    day,
+    stream: fs.createWriteStream(full, { flags: 'a', mode: 0o640 }),
+    bytes: fs.existsSync(full) ? fs.statSync(full).size : 0
+  };
+  file.stream.on('error', err => {
+    process.stderr.write(`Log file ${full} failed: ${err.message}\n`);
+    file = null;
+  });
+  pruneFiles();
+  return file;
+}
+
+function writeFile(line, time) {
+  try {
+    const target = openFile(time);
+    target.stream.write(line + '\n');
+    target.bytes += Buffer.byteLength(line) + 1;
+  } catch (err) {
+    process.stderr.write(`Log file write failed: ${err.message}\n`);
+  }
+}
+
+// --- core ---
+
+function write(level, msg, fields, bound) {
+  if (LEVELS[level] < LEVELS[LEVEL]) return null;
+  const record = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...bound,
+    ...fields
+  });
+  const json = JSON.stringify(record);
+  console.log(FORMAT === 'json' ? json : formatText(record));
+  if (LOG_DIR) writeFile(json, record.time);
+  for (const sink of sinks) sink(record);
+  return record;
+}
+
+function child(bound = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, fields, bound),
+    info: (msg, fields) => write('info', msg, fields, bound),
+    warn: (msg, fields) => write('warn', msg, fields, bound),
+    error: (msg, fields) => write('error', msg, fields, bound),
+    child: more => child({ ...bound, ...more })
+  };
+}
+
+/**
+ * Run fn with fields attached to every line it (and anything it awaits) logs.
+ * Nested calls add to the outer context.
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Short random ID for correlating lines (scan cycles, requests)
+function newId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Also hand every record to fn (e.g. the dashboard's live log tail)
+function addSink(fn) {
+  sinks.push(fn);
+}
+
+module.exports = {
+  LEVEL,
+  FORMAT,
+  LOG_DIR,
+  ...child(),
+  withContext,
+  newId,
+  addSink,
+  redact,
+  formatText
+};
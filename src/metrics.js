@@ -0,0 +1,128 @@
+/**
+ * Metrics — a small Prometheus registry, served as text at GET /metrics.
+ *
+ * Modules declare what they measure next to the code that measures it:
+ *   const apiLatency = metrics.histogram('pallet_guard_api_request_duration_seconds', 'help', [0.1, 0.5, 1]);
+ *   apiLatency.observe({ api: 'apex', status: 200 }, 0.42);
+ * counter(name, help) → inc(labels, n); gauge(name, help) → set(labels, value);
+ * histogram(name, help, buckets) → observe(labels, seconds). Declaring the same
+ * name twice returns the same metric.
+ *
+ * Values that are cheapest to read at scrape time (token age, queue sizes)
+ * are set by onCollect(fn) callbacks, which run before every render().
+ * Gauges set there should be reset() first so stale label sets disappear.
+ */
+
+const metrics = new Map(); // name → { name, help, type, buckets, series: Map(labelKey → value) }
+const collectors = [];
+
+function labelKey(labels = {}) {
+  return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const keys = Object.keys(all).filter(k => all[k] !== undefined && all[k] !== null);
+  return keys.length ? `{${keys.map(k => `${k}="${escapeLabel(all[k])}"`).join(',')}}` : '';
+}
+
+function series(metric, labels, init) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels: { ...labels }, value: init() });
+  return metric.series.get(key);
+}
+
+function define(name, help, type, buckets) {
+  if (!metrics.has(name)) metrics.set(name, { name, help, type, buckets, series: new Map() });
+  const metric = metrics.get(name);
+  return {
+    name,
+    reset: () => metric.series.clear(),
+    inc: (labels, n = 1) => { series(metric, labels, () => 0).value += n; },
+    set: (labels, value) => { series(metric, labels, () => 0).value = value; },
+    observe: (labels, value) => {
+      const s = series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+      metric.buckets.forEach((le, i) => { if (value <= le) s.value.counts[i]++; });
+      s.value.sum += value;
+      s.value.count++;
+    }
+  };
+}
+
+function counter(name, help) {
+  return define(name, help, 'counter');
+}
+
+function gauge(name, help) {
+  return define(name, help, 'gauge');
+}
+
+function histogram(name, help, buckets) {
+  return define(name, help, 'histogram', [...buckets].sort((a, b) => a - b));
+}
+
+// Time an async call into a histogram; `labelsFor(error)` can add labels
+// (e.g. the status) once the outcome is known
+async function time(metric, labels, fn, labelsFor = () => ({})) {
+  const started = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+  try {
+    const result = await fn();
+    metric.observe({ ...labels, ...labelsFor(null, result) }, seconds());
+    return result;
+  } catch (err) {
+    metric.observe({ ...labels, ...labelsFor(err) }, seconds());
+    throw err;
+  }
+}
+
+function onCollect(fn) {
+  collectors.push(fn);
+}
+
+function render() {
+  for (const fn of collectors) fn();
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { labels, value } of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(labels, { le })} ${value.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(labels, { le: '+Inf' })} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Process basics every scrape should have
+const startTime = gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds');
+const memory = gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const heap = gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes');
+startTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+onCollect(() => {
+  const usage = process.memoryUsage();
+  memory.set({}, usage.rss);
+  heap.set({}, usage.heapUsed);
+});
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  counter,
+  gauge,
+  histogram,
+  time,
+  onCollect,
+  render
+};
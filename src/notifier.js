@@ -1,68 +1,188 @@
-const nodemailer = require('nodemailer');
+/**
+ * Notifier — turns scanner actions and down alerts into messages and sends
+ * them through every configured channel enabled for the event (see
+ * channels/index.js). Email gets the full HTML layout; chat, webhook and SMS
+ * channels get the same facts in their own formats. Email recipients are
+ * chosen by the routing rules (see routing.js).
+ */
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_ADDRESS,
-    pass: process.env.GMAIL_APP_PASSWORD
+const channelRegistry = require('./channels');
+const routing = require('./routing');
+
+// Message template per scanner action type: subject, heading, colours and the
+// explanation paragraph. Types missing here are not notified.
+const TEMPLATES = {
+  'cancelled': {
+    icon: '🛡️', subject: 'Payment CANCELLED', heading: 'Payment Cancelled',
+    color: '#c0392b', background: '#fdf2f2', checkoutLabel: 'Checkout ID Voided',
+    message: a => a.approval
+      ? `This payment was voided after approval by <strong>${a.approval.decidedBy}</strong> (${a.approval.decidedVia}) because restacks + upstacks (${a.restacksUpstacks}) exceeded the pallet in count (${a.palletsIn}).`
+      : `This payment was automatically voided because restacks + upstacks (${a.restacksUpstacks}) exceeded the pallet in count (${a.palletsIn}).`
+  },
+  'would-cancel': {
+    icon: '👻', subject: 'Would Cancel Payment', heading: 'Would Cancel Payment (Shadow Mode)',
+    color: '#7f8c8d', background: '#f4f6f6', checkoutLabel: 'Checkout ID (not voided)',
+    message: a => `Restacks + upstacks (${a.restacksUpstacks}) exceeded the pallet in count (${a.palletsIn}). Pallet Guard is in <strong>shadow mode</strong>, so this payment was <strong>NOT</strong> voided — in enforce mode it would have been.`
+  },
+  'held': {
+    icon: '⏸️', subject: 'Approval Needed', heading: 'Void Pending Approval',
+    color: '#2980b9', background: '#eef5fb', checkoutLabel: 'Checkout ID (held)',
+    message: a => `Restacks + upstacks (${a.restacksUpstacks}) exceed the pallet in count (${a.palletsIn}). The payment has <strong>not</strong> been voided yet — a supervisor must approve or reject it.`
+      + (a.expiresAt ? ` If nobody decides by ${formatTime(a.expiresAt)} it will be ${a.timeoutAction === 'void' ? 'voided' : 'released'} automatically.` : '')
+  },
+  'void-no-longer-justified': {
+    icon: '↩️', subject: 'Void No Longer Justified', heading: 'Restacks Corrected After Void',
+    color: '#8e44ad', background: '#f5eef8', checkoutLabel: 'Checkout ID Voided',
+    message: a => `This payment was voided${a.voidedAt ? ` at ${formatTime(a.voidedAt)}` : ''}, but restacks + upstacks have since been corrected to <strong>${a.restacksUpstacks}</strong>, which no longer exceeds the pallet in count (${a.palletsIn}). <strong>The payment may need to be reinstated</strong> — reverse the void from the dashboard to send the payments team a reversal report.`
+  },
+  'over-alert': {
+    icon: '⚠️', subject: 'Over Limit Alert', heading: 'Over Limit — Alert Only',
+    color: '#e67e22', background: '#fef9e7',
+    message: a => `Restacks + upstacks (${a.restacksUpstacks}) exceed the pallet in count (${a.palletsIn}). The matching rule is set to <strong>alert only</strong>, so no payment was voided.`
+  },
+  'over-no-wallet': {
+    icon: '⚠️', subject: 'Over Limit Alert', heading: 'Over Limit — No Wallet Payment Found',
+    color: '#e67e22', background: '#fef9e7',
+    message: a => `Restacks + upstacks (${a.restacksUpstacks}) exceed pallet in count (${a.palletsIn}), but <strong>no driver wallet checkout was found</strong> to void. Manual review may be needed.`
   }
-});
+};
 
-async function sendEmail(action) {
-  const { poNumber, truckId, carrier, palletsIn, restacksUpstacks, driverWalletCheckoutID, timestamp } = action;
+// Events channels can subscribe to: every templated action type, 'down'
+// (scanner stopped, still-down reminders, escalation), 'recovered',
+// 'mfa-required' (login hit an MFA challenge it can't answer) and the
+// end-of-shift 'digest'
+const ACTION_EVENTS = Object.keys(TEMPLATES);
+const EVENTS = [...ACTION_EVENTS, 'down', 'recovered', 'mfa-required', 'digest'];
+
+let channels = channelRegistry.loadChannels(EVENTS);
+let routes = routing.loadRoutes();
+
+function formatTime(value) {
+  return new Date(value).toLocaleString('en-US', { timeZone: 'America/New_York' });
+}
 
-  const ts = new Date(timestamp).toLocaleString('en-US', { timeZone: 'America/New_York' });
-  const isCancelled = action.type === 'cancelled';
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function recipientList(recipients) {
+  const list = recipients && recipients.length ? recipients : [process.env.NOTIFY_EMAIL];
+  return list.filter(Boolean);
+}
+
+function actionMessage(action) {
+  const { poNumber, truckId, carrier, palletsIn, restacksUpstacks, driverWalletCheckoutID, timestamp } = action;
+  const template = TEMPLATES[action.type];
+  if (!template) throw new Error(`No message template for action type "${action.type}"`);
 
-  const subject = isCancelled
-    ? `🛡️ Pallet Guard: Payment CANCELLED - PO ${poNumber}`
-    : `⚠️ Pallet Guard: Over Limit Alert - PO ${poNumber}`;
+  const ts = formatTime(timestamp);
+  const shadowTag = action.shadow ? '[SHADOW] ' : '';
+  const subject = `${template.icon} ${shadowTag}Pallet Guard: ${template.subject} - PO ${poNumber}`;
+  const headColor = template.color;
+  const explanation = template.message(action);
 
-  const heading = isCancelled ? 'Payment Cancelled' : 'Over Limit — No Wallet Payment Found';
-  const headColor = isCancelled ? '#c0392b' : '#e67e22';
-  const checkoutRow = isCancelled
-    ? `<tr><td style="padding: 6px 0; font-weight: 600;">Checkout ID Voided</td><td style="font-family: monospace;">${driverWalletCheckoutID}</td></tr>`
+  const checkoutRow = template.checkoutLabel
+    ? `<tr><td style="padding: 6px 0; font-weight: 600;">${template.checkoutLabel}</td><td style="font-family: monospace;">${driverWalletCheckoutID}</td></tr>`
+    : '';
+  const ruleRow = action.rule
+    ? `<tr><td style="padding: 6px 0; font-weight: 600;">Rule</td><td style="font-size: 12px;">${action.reason || action.rule}</td></tr>`
+    : '';
+  const shadowBanner = action.shadow
+    ? `<p style="padding: 8px 12px; background: #ecf0f1; border: 1px dashed #7f8c8d; font-size: 13px; font-weight: 600;">👻 SHADOW MODE — no payments are being voided</p>`
+    : '';
+  const decisionButtons = action.approveUrl && action.rejectUrl
+    ? `<p style="margin-top: 16px;">
+          <a href="${action.approveUrl}" style="display: inline-block; padding: 10px 18px; background: #c0392b; color: #fff; text-decoration: none; border-radius: 4px; font-weight: 600; margin-right: 8px;">Approve void</a>
+          <a href="${action.rejectUrl}" style="display: inline-block; padding: 10px 18px; background: #7f8c8d; color: #fff; text-decoration: none; border-radius: 4px; font-weight: 600;">Reject (keep payment)</a>
+        </p>`
     : '';
-  const message = isCancelled
-    ? `This payment was automatically voided because restacks + upstacks (${restacksUpstacks}) exceeded the pallet in count (${palletsIn}).`
-    : `Restacks + upstacks (${restacksUpstacks}) exceed pallet in count (${palletsIn}), but <strong>no driver wallet checkout was found</strong> to void. Manual review may be needed.`;
 
-  await transporter.sendMail({
-    from: `"Pallet Guard" <${process.env.GMAIL_ADDRESS}>`,
-    to: process.env.NOTIFY_EMAIL,
+  const fields = [];
+  if (action.siteName) fields.push({ label: 'Site', value: `${action.siteName} (SD${action.subDept})` });
+  fields.push(
+    { label: 'PO Number', value: poNumber },
+    { label: 'Carrier', value: carrier },
+    { label: 'Pallets In', value: palletsIn },
+    { label: 'Restacks + Upstacks', value: restacksUpstacks }
+  );
+  if (template.checkoutLabel) fields.push({ label: template.checkoutLabel, value: driverWalletCheckoutID });
+
+  return {
+    event: action.type,
     subject,
+    title: `Pallet Guard — ${template.heading}`,
+    text: stripTags(explanation),
+    color: headColor,
+    fields,
+    links: action.approveUrl && action.rejectUrl
+      ? [{ label: 'Approve void', url: action.approveUrl }, { label: 'Reject (keep payment)', url: action.rejectUrl }]
+      : [],
+    attachments: [],
+    data: action,
     html: `
       <div style="font-family: -apple-system, sans-serif; max-width: 560px; margin: 0 auto;">
         <h2 style="color: ${headColor}; border-bottom: 2px solid ${headColor}; padding-bottom: 8px;">
-          🛡️ Pallet Guard — ${heading}
+          🛡️ Pallet Guard — ${template.heading}
         </h2>
+        ${shadowBanner}
         <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          ${action.siteName ? `<tr><td style="padding: 6px 0; font-weight: 600; width: 200px;">Site</td><td>${action.siteName} (SD${action.subDept})</td></tr>` : ''}
           <tr><td style="padding: 6px 0; font-weight: 600; width: 200px;">PO Number</td><td>${poNumber}</td></tr>
           <tr><td style="padding: 6px 0; font-weight: 600;">Truck ID</td><td style="font-size: 12px; font-family: monospace;">${truckId}</td></tr>
           <tr><td style="padding: 6px 0; font-weight: 600;">Carrier</td><td>${carrier}</td></tr>
           <tr><td style="padding: 6px 0; font-weight: 600;">Pallets In</td><td>${palletsIn}</td></tr>
           <tr><td style="padding: 6px 0; font-weight: 600; color: ${headColor};">Restacks + Upstacks</td><td style="color: ${headColor}; font-weight: 700;">${restacksUpstacks}</td></tr>
+          ${ruleRow}
           ${checkoutRow}
           <tr><td style="padding: 6px 0; font-weight: 600;">Timestamp</td><td>${ts}</td></tr>
         </table>
-        <p style="margin-top: 16px; padding: 12px; background: ${isCancelled ? '#fdf2f2' : '#fef9e7'}; border-left: 4px solid ${headColor}; font-size: 13px;">
-          ${message}
+        <p style="margin-top: 16px; padding: 12px; background: ${template.background}; border-left: 4px solid ${headColor}; font-size: 13px;">
+          ${explanation}
         </p>
+        ${decisionButtons}
         <p style="font-size: 11px; color: #999; margin-top: 24px;">Sent by Pallet Guard • Automated monitoring</p>
       </div>
     `
-  });
+  };
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function attemptsTable(outage) {
+  if (!outage.attempts.length) return '<p style="font-size: 13px; color: #999;">None yet.</p>';
+  return htmlTable(['Attempt', 'Time', 'Result'], outage.attempts.map(a =>
+    [a.attempt, formatTime(a.at), a.ok ? 'succeeded' : `failed${a.error ? `: ${a.error}` : ''}`]));
 }
 
-async function sendDownAlert(reason, screenshotPath) {
-  const ts = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
+// Headings for each stage of an outage (see outages.js)
+const OUTAGE_STAGES = {
+  down: { subject: 'Scanner DOWN', heading: 'Scanner Stopped', color: '#c0392b', background: '#fdf2f2' },
+  reminder: { subject: 'Scanner STILL DOWN', heading: 'Scanner Still Down', color: '#c0392b', background: '#fdf2f2' },
+  escalation: { subject: 'ESCALATION - Scanner STILL DOWN', heading: 'Scanner Down — Escalated', color: '#8e1b10', background: '#fdf2f2' },
+  recovered: { subject: 'Scanner RECOVERED', heading: 'Scanner Recovered', color: '#27ae60', background: '#eafaf1' }
+};
+
+/**
+ * Message for one stage of an outage.
+ * @param {Object} outage - from outages.js ({ reason, startedAt, endedAt, attempts, screenshotPath })
+ * @param {string} stage - down | reminder | escalation | recovered
+ */
+function outageMessage(outage, stage = 'down') {
+  const info = OUTAGE_STAGES[stage];
+  const recovered = stage === 'recovered';
+  const downtimeMs = new Date(outage.endedAt || Date.now()) - new Date(outage.startedAt);
+  const downFor = formatDuration(downtimeMs);
   const fs = require('fs');
 
   const attachments = [];
-  if (screenshotPath && fs.existsSync(screenshotPath)) {
+  if (stage === 'down' && outage.screenshotPath && fs.existsSync(outage.screenshotPath)) {
     attachments.push({
-      filename: require('path').basename(screenshotPath),
-      path: screenshotPath,
+      filename: require('path').basename(outage.screenshotPath),
+      path: outage.screenshotPath,
       cid: 'authfailure'
     });
   }
@@ -70,28 +190,306 @@ async function sendDownAlert(reason, screenshotPath) {
   const screenshotHtml = attachments.length > 0
     ? `<h3 style="margin-top: 20px;">Login Page at Time of Failure:</h3><img src="cid:authfailure" style="max-width: 100%; border: 1px solid #ddd; border-radius: 4px;" />`
     : '';
+  const explanation = recovered
+    ? `The scanner is monitoring POs again after <strong>${downFor}</strong> of downtime.`
+    : stage === 'down'
+      ? `The Pallet Guard scanner has stopped and is no longer monitoring POs. 
+          Auto-recovery is active and will keep retrying.`
+      : `The scanner has been down for <strong>${downFor}</strong> and is still not monitoring POs. Auto-recovery keeps retrying; someone may need to check the service.`;
 
-  await transporter.sendMail({
-    from: `"Pallet Guard" <${process.env.GMAIL_ADDRESS}>`,
-    to: process.env.NOTIFY_EMAIL,
-    subject: `🚨 Pallet Guard: Scanner DOWN`,
+  return {
+    event: recovered ? 'recovered' : 'down',
+    subject: `${recovered ? '✅' : '🚨'} Pallet Guard: ${info.subject}${stage === 'down' ? '' : ` (${recovered ? 'down ' : ''}${downFor})`}`,
+    title: `Pallet Guard — ${info.heading}`,
+    text: `${stripTags(explanation)} Reason: ${outage.reason}. Recovery attempts: ${outage.attempts.length}.`,
+    color: info.color,
+    fields: [
+      { label: 'Reason', value: outage.reason },
+      { label: 'Down Since', value: formatTime(outage.startedAt) },
+      { label: recovered ? 'Total Downtime' : 'Down For', value: downFor },
+      { label: 'Recovery Attempts', value: outage.attempts.length }
+    ],
+    links: [],
+    attachments,
+    data: { stage, ...outage, downtimeMinutes: Math.round(downtimeMs / 60000) },
     html: `
       <div style="font-family: -apple-system, sans-serif; max-width: 560px; margin: 0 auto;">
-        <h2 style="color: #c0392b; border-bottom: 2px solid #c0392b; padding-bottom: 8px;">
-          🚨 Pallet Guard — Scanner Stopped
+        <h2 style="color: ${info.color}; border-bottom: 2px solid ${info.color}; padding-bottom: 8px;">
+          ${recovered ? '✅' : '🚨'} Pallet Guard — ${info.heading}
         </h2>
-        <p style="font-size: 14px;"><strong>Reason:</strong> ${reason}</p>
-        <p style="font-size: 14px;"><strong>Time:</strong> ${ts}</p>
-        <p style="margin-top: 16px; padding: 12px; background: #fdf2f2; border-left: 4px solid #c0392b; font-size: 13px;">
-          The Pallet Guard scanner has stopped and is no longer monitoring POs. 
-          Auto-recovery is active and will keep retrying.
+        <p style="font-size: 14px;"><strong>Reason:</strong> ${outage.reason}</p>
+        <p style="font-size: 14px;"><strong>Down since:</strong> ${formatTime(outage.startedAt)}${recovered ? ` — <strong>recovered:</strong> ${formatTime(outage.endedAt)}` : ''}</p>
+        <p style="margin-top: 16px; padding: 12px; background: ${info.background}; border-left: 4px solid ${info.color}; font-size: 13px;">
+          ${explanation}
         </p>
+        <h3 style="margin: 20px 0 6px; font-size: 15px;">Recovery Attempts</h3>
+        ${attemptsTable(outage)}
         ${screenshotHtml}
         <p style="font-size: 11px; color: #999; margin-top: 24px;">Sent by Pallet Guard • Automated monitoring</p>
       </div>
-    `,
-    attachments
-  });
+    `
+  };
+}
+
+function route(event, recipients, at) {
+  const { site, subDept, carrier } = event;
+  return routing.resolve(routes, { type: event.type, site, subDept, carrier }, recipientList(recipients), at);
+}
+
+function money(value) {
+  return value == null ? '—' : `$${value.toFixed(2)}`;
+}
+
+function htmlTable(headers, rows) {
+  if (!rows.length) return '<p style="font-size: 13px; color: #7f8c8d;">None.</p>';
+  const cell = 'padding: 4px 8px; border-bottom: 1px solid #eee; text-align: left;';
+  return `<table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+          <tr>${headers.map(h => `<th style="${cell} background: #f4f6f6;">${h}</th>`).join('')}</tr>
+          ${rows.map(r => `<tr>${r.map(v => `<td style="${cell}">${v == null ? '' : v}</td>`).join('')}</tr>`).join('')}
+        </table>`;
+}
+
+/**
+ * Message for an MFA challenge the headless login can't answer.
+ * @param {Object} mfa - { challenge, label, account, credentialsId, screenshotPath, at }
+ */
+function mfaMessage(mfa) {
+  const fs = require('fs');
+  const attachments = mfa.screenshotPath && fs.existsSync(mfa.screenshotPath)
+    ? [{ filename: require('path').basename(mfa.screenshotPath), path: mfa.screenshotPath, cid: 'mfachallenge' }]
+    : [];
+  const advice = mfa.challenge === 'totp-no-secret' || mfa.challenge === 'method-choice'
+    ? 'Set the account\'s authenticator secret (LOADENTRY_TOTP_SECRET or loadEntryTotpSecret in config/sites.json) so the service can enter codes itself, or ask IT to exempt the service account from MFA.'
+    : 'The service can only answer authenticator-app codes. Ask IT to switch the service account to an authenticator app code (then set LOADENTRY_TOTP_SECRET) or to exempt it from MFA.';
+
+  return {
+    event: 'mfa-required',
+    subject: `🔐 Pallet Guard: Login blocked by MFA - ${mfa.label}`,
+    title: 'Pallet Guard — Login Blocked by MFA',
+    text: `Microsoft asked the Load Entry account ${mfa.account || ''} for "${mfa.label}", which the headless login can't complete. ${advice}`,
+    color: '#d35400',
+    fields: [
+      { label: 'Challenge', value: mfa.label },
+      { label: 'Account', value: mfa.account || 'Unknown' },
+      { label: 'Credentials', value: mfa.credentialsId },
+      { label: 'Time', value: formatTime(mfa.at) }
+    ],
+    links: [],
+    attachments,
+    data: mfa,
+    html: `
+      <div style="font-family: -apple-system, sans-serif; max-width: 560px; margin: 0 auto;">
+        <h2 style="color: #d35400; border-bottom: 2px solid #d35400; padding-bottom: 8px;">
+          🔐 Pallet Guard — Login Blocked by MFA
+        </h2>
+        <p style="font-size: 14px;"><strong>Challenge:</strong> ${mfa.label}</p>
+        <p style="font-size: 14px;"><strong>Account:</strong> ${mfa.account || 'Unknown'} (${mfa.credentialsId})</p>
+        <p style="font-size: 14px;"><strong>Time:</strong> ${formatTime(mfa.at)}</p>
+        <p style="margin-top: 16px; padding: 12px; background: #fbeee6; border-left: 4px solid #d35400; font-size: 13px;">
+          ${advice}
+        </p>
+        ${attachments.length ? '<h3 style="margin-top: 20px;">Login Page at Time of Challenge:</h3><img src="cid:mfachallenge" style="max-width: 100%; border: 1px solid #ddd; border-radius: 4px;" />' : ''}
+        <p style="font-size: 11px; color: #999; margin-top: 24px;">Sent by Pallet Guard • Automated monitoring</p>
+      </div>
+    `
+  };
+}
+
+function digestMessage(digest, attachment) {
+  const { totals, uptime } = digest;
+  const uptimeText = uptime.percent == null ? 'n/a' : `${uptime.percent}%`;
+  const section = title => `<h3 style="margin: 20px 0 6px; font-size: 15px;">${title}</h3>`;
+  const summary = `${totals.poCount} POs, ${totals.overCount} over the limit, ${totals.voidedCount} voided`
+    + `${totals.voidedAmount != null ? ` (${money(totals.voidedAmount)})` : ''}, ${totals.noWalletCount} with no wallet checkout`;
+
+  return {
+    event: 'digest',
+    subject: `📋 Pallet Guard: Shift Digest - ${digest.date}`,
+    title: `Pallet Guard — Shift Digest ${digest.date}`,
+    text: `${summary}. Scanner uptime ${uptimeText}, ${digest.authFailures.length} auth failure(s).`,
+    color: '#34495e',
+    fields: [
+      { label: 'POs Scanned', value: totals.poCount },
+      { label: 'Over Limit', value: totals.overCount },
+      { label: 'Voided', value: `${totals.voidedCount}${totals.voidedAmount != null ? ` (${money(totals.voidedAmount)})` : ''}` },
+      { label: 'No Wallet Checkout', value: totals.noWalletCount },
+      { label: 'Scanner Uptime', value: uptimeText },
+      { label: 'Auth Failures', value: digest.authFailures.length }
+    ],
+    links: [],
+    attachments: attachment ? [attachment] : [],
+    data: digest,
+    html: `
+      <div style="font-family: -apple-system, sans-serif; max-width: 640px; margin: 0 auto;">
+        <h2 style="color: #34495e; border-bottom: 2px solid #34495e; padding-bottom: 8px;">
+          📋 Pallet Guard — Shift Digest ${digest.date}
+        </h2>
+        <p style="font-size: 14px;">${summary}.</p>
+        ${section('POs by Subdept')}
+        ${htmlTable(['Site', 'Subdept', 'POs', 'Over Limit'], digest.subdepts.map(d => [d.site, d.subDept, d.poCount, d.overCount]))}
+        ${section('Payments Voided')}
+        ${htmlTable(['PO', 'Carrier', 'Checkout ID', 'Amount', 'Voided At'], digest.voided.map(v =>
+          [v.poNumber, v.carrier, v.driverWalletCheckoutID, money(v.amount), `${formatTime(v.voidedAt)}${v.reversed ? ' <strong>(reversed)</strong>' : ''}`]))}
+        ${section('Over Limit — No Wallet Checkout')}
+        ${htmlTable(['PO', 'Carrier', 'Pallets In', 'Restacks + Upstacks'], digest.noWallet.map(n =>
+          [n.poNumber, n.carrier, n.palletsIn, n.restacksUpstacks]))}
+        ${section('Top Offending Carriers')}
+        ${htmlTable(['Carrier', 'Over-Limit POs'], digest.topCarriers.map(c => [c.carrier, c.overCount]))}
+        ${section('Scanner Health')}
+        <p style="font-size: 13px;">Uptime <strong>${uptimeText}</strong> (${uptime.scans} successful scans, ${uptime.failedScans} failed)</p>
+        ${htmlTable(['Auth Failure', 'Reason'], digest.authFailures.map(f => [formatTime(f.at), f.reason]))}
+        <p style="font-size: 11px; color: #999; margin-top: 24px;">Every PO for the day is in the attached CSV • Sent by Pallet Guard</p>
+      </div>
+    `
+  };
+}
+
+// One grouped message for a burst of same-type actions (see outbox.js)
+function batchMessage(actions) {
+  const template = TEMPLATES[actions[0].type];
+  if (!template) throw new Error(`No message template for action type "${actions[0].type}"`);
+  const shadowTag = actions.some(a => a.shadow) ? '[SHADOW] ' : '';
+  const subject = `${template.icon} ${shadowTag}Pallet Guard: ${template.subject} - ${actions.length} POs`;
+  const decisionLinks = a => a.approveUrl && a.rejectUrl
+    ? `<a href="${a.approveUrl}">Approve</a> · <a href="${a.rejectUrl}">Reject</a>`
+    : '';
+  const hasLinks = actions.some(a => a.approveUrl);
+
+  return {
+    event: actions[0].type,
+    subject,
+    title: `Pallet Guard — ${template.heading} (${actions.length} POs)`,
+    text: `${template.heading}: ${actions.length} POs (${actions.map(a => a.poNumber).join(', ')}).`,
+    color: template.color,
+    fields: actions.slice(0, 10).map(a => ({ label: `PO ${a.poNumber}`, value: `${a.carrier} — ${a.restacksUpstacks} restacks vs ${a.palletsIn} pallets in` })),
+    links: [],
+    attachments: [],
+    data: { type: actions[0].type, count: actions.length, actions },
+    html: `
+      <div style="font-family: -apple-system, sans-serif; max-width: 640px; margin: 0 auto;">
+        <h2 style="color: ${template.color}; border-bottom: 2px solid ${template.color}; padding-bottom: 8px;">
+          🛡️ Pallet Guard — ${template.heading} (${actions.length} POs)
+        </h2>
+        ${htmlTable(
+          ['Site', 'PO', 'Carrier', 'Pallets In', 'Restacks + Upstacks', template.checkoutLabel || 'Checkout ID', 'Time'].concat(hasLinks ? ['Decision'] : []),
+          actions.map(a => [a.siteName || a.site, a.poNumber, a.carrier, a.palletsIn, a.restacksUpstacks, a.driverWalletCheckoutID, formatTime(a.timestamp)]
+            .concat(hasLinks ? [decisionLinks(a)] : [])))}
+        <p style="margin-top: 16px; padding: 12px; background: ${template.background}; border-left: 4px solid ${template.color}; font-size: 13px;">
+          These POs arrived in the same burst and are grouped into one message. Each one is in the audit trail (<code>/api/history</code>).
+        </p>
+        <p style="font-size: 11px; color: #999; margin-top: 24px;">Sent by Pallet Guard • Automated monitoring</p>
+      </div>
+    `
+  };
+}
+
+/**
+ * Send a message through every channel enabled for its event.
+ * One failing channel doesn't stop the others.
+ * @returns {Promise<Array<{ channel, type, ok, error }>>}
+ */
+async function dispatch(message, recipients) {
+  const targets = channelRegistry.forEvent(channels, message.event);
+  const routed = route({ ...message.data, type: message.event }, recipients);
+  return Promise.all(targets.map(async ch => {
+    try {
+      await ch.send(message, routed.recipients);
+      return { channel: ch.id, type: ch.type, ok: true };
+    } catch (err) {
+      return { channel: ch.id, type: ch.type, ok: false, error: err.message };
+    }
+  }));
+}
+
+async function sendAction(action, recipients) {
+  return dispatch(actionMessage(action), recipients);
+}
+
+async function sendDownAlert(reason, screenshotPath, recipients) {
+  const outage = { reason, screenshotPath, startedAt: new Date().toISOString(), attempts: [] };
+  return dispatch(outageMessage(outage, 'down'), recipients);
+}
+
+/**
+ * Who would receive an action, without sending anything.
+ * @param {Object} event - { type, site, subDept, carrier }
+ * @param {string[]} recipients - the site's notify list
+ * @param {Date} at - time to evaluate route hours against
+ */
+function preview(event, recipients, at = new Date()) {
+  const routed = route(event, recipients, at);
+  return {
+    event: event.type,
+    severity: routed.severity,
+    at: at.toISOString(),
+    timezone: routing.TIMEZONE,
+    routes: routed.routes,
+    recipients: routed.recipients,
+    channels: channelRegistry.forEvent(channels, event.type).map(ch => ({
+      ...channelRegistry.describe(ch),
+      to: ch.type === 'smtp' ? (ch.to.length ? ch.to : routed.recipients)
+        : ch.type === 'sms' ? ch.to
+          : null
+    }))
+  };
+}
+
+async function sendDigest(digest, attachment, recipients) {
+  return dispatch(digestMessage(digest, attachment), recipients);
+}
+
+// Email recipients for an event after routing
+function routeRecipients(event, recipients) {
+  return route(event, recipients).recipients;
+}
+
+// Channels that receive an event: [{ id, rateLimit }]
+function channelsFor(event) {
+  return channelRegistry.forEvent(channels, event).map(ch => ({ id: ch.id, rateLimit: ch.rateLimit }));
+}
+
+// Send through one channel; throws on failure (the outbox retries)
+async function deliver(channelId, message, recipients) {
+  const ch = channels.find(c => c.id === channelId);
+  if (!ch) throw new Error(`Channel "${channelId}" is no longer configured`);
+  await ch.send(message, recipients);
+}
+
+// Rebuild channels and routes from the notify config — after secrets are
+// rotated, so SMTP logins and webhook secrets pick up the new values. A bad
+// config throws and keeps the current channels.
+function reload() {
+  const nextChannels = channelRegistry.loadChannels(EVENTS);
+  const nextRoutes = routing.loadRoutes();
+  channels = nextChannels;
+  routes = nextRoutes;
+  return getChannels();
+}
+
+function getChannels() {
+  return channels.map(channelRegistry.describe);
+}
+
+function getRoutes() {
+  return routes;
 }
 
-module.exports = { sendEmail, sendDownAlert };
+module.exports = {
+  ACTION_EVENTS,
+  EVENTS,
+  actionMessage,
+  batchMessage,
+  outageMessage,
+  mfaMessage,
+  digestMessage,
+  routeRecipients,
+  channelsFor,
+  deliver,
+  sendAction,
+  sendDownAlert,
+  sendDigest,
+  preview,
+  reload,
+  getChannels,
+  getRoutes
+};
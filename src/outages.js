@@ -0,0 +1,133 @@
+/**
+ * Outages — tracks a scanner outage from the down alert to recovery.
+ *
+ * One open outage at a time, kept in data/outage.json so downtime is still
+ * measured correctly across a service restart:
+ *   { id, reason, screenshotPath, startedAt, attempts: [{ at, attempt, ok, error }],
+ *     lastNotifiedAt, remindersSent, escalatedAt, endedAt }
+ *
+ * Escalation policy (env):
+ *   DOWN_REMINDER_MINUTES       — "still down" reminder interval (default 30, 0 = off)
+ *   DOWN_ESCALATE_AFTER_MINUTES — minutes down before escalating (default 60)
+ *   DOWN_ESCALATE_TO            — second contact list (comma-separated emails);
+ *                                 once escalated they get every later reminder
+ *                                 and the recovery message too
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { toList } = require('./sites');
+
+const OUTAGE_FILE = path.join(store.DATA_DIR, 'outage.json');
+const REMINDER_MINUTES = process.env.DOWN_REMINDER_MINUTES === '0'
+  ? 0
+  : parseInt(process.env.DOWN_REMINDER_MINUTES, 10) || 30;
+const ESCALATE_AFTER_MINUTES = parseInt(process.env.DOWN_ESCALATE_AFTER_MINUTES, 10) || 60;
+const ESCALATE_TO = toList(process.env.DOWN_ESCALATE_TO);
+const MAX_ATTEMPTS_KEPT = 50;
+
+let outage;
+
+function load() {
+  if (outage === undefined) {
+    outage = fs.existsSync(OUTAGE_FILE) ? JSON.parse(fs.readFileSync(OUTAGE_FILE, 'utf8')) : null;
+  }
+  return outage;
+}
+
+function persist() {
+  store.ensureDir(path.dirname(OUTAGE_FILE));
+  if (!outage) {
+    if (fs.existsSync(OUTAGE_FILE)) fs.unlinkSync(OUTAGE_FILE);
+    return;
+  }
+  fs.writeFileSync(OUTAGE_FILE + '.tmp', JSON.stringify(outage, null, 2));
+  fs.renameSync(OUTAGE_FILE + '.tmp', OUTAGE_FILE);
+}
+
+function current() {
+  return load();
+}
+
+// Open an outage (or return the one already open — a second failure while
+// recovering doesn't restart the downtime clock). Returns { outage, isNew }.
+function begin(reason, screenshotPath) {
+  if (load()) return { outage, isNew: false };
+  const now = new Date().toISOString();
+  outage = {
+    id: crypto.randomUUID(),
+    reason,
+    screenshotPath: screenshotPath || null,
+    startedAt: now,
+    attempts: [],
+    lastNotifiedAt: now,
+    remindersSent: 0,
+    escalatedAt: null,
+    endedAt: null
+  };
+  persist();
+  return { outage, isNew: true };
+}
+
+function recordAttempt(attempt, ok, error) {
+  if (!load()) return;
+  outage.attempts.push({ at: new Date().toISOString(), attempt, ok, error: error || null });
+  if (outage.attempts.length > MAX_ATTEMPTS_KEPT) outage.attempts.splice(0, outage.attempts.length - MAX_ATTEMPTS_KEPT);
+  persist();
+}
+
+function downtimeMs(o, now = new Date()) {
+  return new Date(o.endedAt || now).getTime() - new Date(o.startedAt).getTime();
+}
+
+/**
+ * What the open outage needs now: 'escalation', 'reminder' or null.
+ * Escalation comes first and also counts as a reminder.
+ */
+function due(now = new Date()) {
+  if (!load()) return null;
+  const downMinutes = downtimeMs(outage, now) / 60000;
+  if (ESCALATE_TO.length && !outage.escalatedAt && downMinutes >= ESCALATE_AFTER_MINUTES) return 'escalation';
+  if (REMINDER_MINUTES && (now - new Date(outage.lastNotifiedAt)) / 60000 >= REMINDER_MINUTES) return 'reminder';
+  return null;
+}
+
+function markNotified(kind) {
+  if (!load()) return;
+  const now = new Date().toISOString();
+  outage.lastNotifiedAt = now;
+  if (kind === 'escalation') outage.escalatedAt = now;
+  else outage.remindersSent++;
+  persist();
+}
+
+// Who hears about the outage right now
+function recipients(base) {
+  const extra = load() && outage.escalatedAt ? ESCALATE_TO : [];
+  return [...new Set([...base, ...extra])];
+}
+
+// Close the open outage; returns it (with endedAt) or null if none was open
+function end() {
+  if (!load()) return null;
+  const ended = { ...outage, endedAt: new Date().toISOString() };
+  outage = null;
+  persist();
+  return ended;
+}
+
+module.exports = {
+  REMINDER_MINUTES,
+  ESCALATE_AFTER_MINUTES,
+  ESCALATE_TO,
+  current,
+  begin,
+  recordAttempt,
+  downtimeMs,
+  due,
+  markNotified,
+  recipients,
+  end
+};
@@ -0,0 +1,270 @@
+/**
+ * Notification outbox — persistent queue between the scanner and the channels.
+ *
+ * performScan only enqueues; a worker started from index.js sends in the
+ * background so a burst of alerts never blocks the scan cycle. Each
+ * notification is queued once per channel (data/outbox.json) with its routed
+ * recipients, so channels retry and rate-limit independently:
+ *   - dedupe: the same action (type + site + subdept + PO + checkout) is queued
+ *     at most once per channel within OUTBOX_DEDUPE_HOURS
+ *   - batching: due action entries for the same channel, event and recipients
+ *     that are on the same attempt go out as one grouped message
+ *   - rate limit: at most channel.rateLimit messages per minute; the rest wait
+ *   - retry: failed sends back off (RETRY_DELAYS) and are marked 'failed'
+ *     after the last attempt; they can be re-queued from /api/notifications
+ * Sent and failed entries are pruned KEEP_DAYS after they were sent or gave up.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const notifier = require('./notifier');
+const digest = require('./digest');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const OUTBOX_FILE = path.join(store.DATA_DIR, 'outbox.json');
+const INTERVAL_MS = (parseInt(process.env.OUTBOX_INTERVAL_SECONDS, 10) || 5) * 1000;
+const DEDUPE_HOURS = parseInt(process.env.OUTBOX_DEDUPE_HOURS, 10) || 24;
+const RETRY_DELAYS = [30, 120, 600, 1800, 3600]; // seconds; then give up
+const KEEP_DAYS = 7;
+const STATUSES = ['pending', 'sent', 'failed'];
+
+let entries = null;
+let timer = null;
+let flushing = false;
+const sentTimes = new Map(); // channel id → send timestamps in the last minute
+
+function load() {
+  if (!entries) {
+    entries = fs.existsSync(OUTBOX_FILE)
+      ? JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'))
+      : [];
+  }
+  return entries;
+}
+
+function persist() {
+  store.ensureDir(path.dirname(OUTBOX_FILE));
+  fs.writeFileSync(OUTBOX_FILE + '.tmp', JSON.stringify(entries, null, 2));
+  fs.renameSync(OUTBOX_FILE + '.tmp', OUTBOX_FILE);
+}
+
+function actionKey(action) {
+  return ['action', action.type, action.site || '', action.subDept, action.poNumber, action.driverWalletCheckoutID || ''].join('|');
+}
+
+// Queue one notification for every channel enabled for its event
+function enqueue(kind, event, key, payload, recipients, summary) {
+  const now = Date.now();
+  const dedupeAfter = now - DEDUPE_HOURS * 3600000;
+  const routed = notifier.routeRecipients({ ...payload, type: event }, recipients);
+  const queued = [];
+  for (const channel of notifier.channelsFor(event)) {
+    const duplicate = load().some(e => e.key === key && e.channel === channel.id
+      && e.status !== 'failed' && new Date(e.createdAt).getTime() > dedupeAfter);
+    if (duplicate) {
+      logger.info(`📭 Skipped duplicate ${event} notification for ${summary} on ${channel.id}`);
+      continue;
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      key,
+      kind,
+      event,
+      channel: channel.id,
+      summary,
+      payload,
+      recipients: routed,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now).toISOString(),
+      sentAt: null,
+      failedAt: null,
+      batchSize: null
+    };
+    load().push(entry);
+    queued.push(entry);
+  }
+  if (queued.length) persist();
+  return queued;
+}
+
+function enqueueAction(action, recipients) {
+  return enqueue('action', action.type, actionKey(action), action, recipients, `PO ${action.poNumber}`);
+}
+
+// stage: down | reminder | escalation | recovered (see outages.js)
+function enqueueOutage(stage, outage, recipients) {
+  const event = stage === 'recovered' ? 'recovered' : 'down';
+  return enqueue('outage', event, `outage|${outage.id}|${stage}|${crypto.randomUUID()}`, { stage, outage }, recipients, `${stage}: ${outage.reason}`);
+}
+
+// One alert per credential set and challenge type within the dedupe window,
+// however often auto-recovery runs into it
+function enqueueMfa(mfa, recipients) {
+  return enqueue('mfa', 'mfa-required', `mfa|${mfa.credentialsId}|${mfa.challenge}`, mfa, recipients, `${mfa.label} (${mfa.credentialsId})`);
+}
+
+function enqueueDigest(dateKey, recipients) {
+  return enqueue('digest', 'digest', `digest|${dateKey}|${crypto.randomUUID()}`, { date: dateKey }, recipients, `digest ${dateKey}`);
+}
+
+function buildMessage(group) {
+  const first = group[0];
+  if (first.kind === 'action') {
+    return group.length > 1
+      ? notifier.batchMessage(group.map(e => e.payload))
+      : notifier.actionMessage(first.payload);
+  }
+  if (first.kind === 'outage') return notifier.outageMessage(first.payload.outage, first.payload.stage);
+  if (first.kind === 'mfa') return notifier.mfaMessage(first.payload);
+  return notifier.digestMessage(digest.build(first.payload.date), digest.csvAttachment(first.payload.date));
+}
+
+// Messages still allowed through a channel this minute
+function allowance(channel) {
+  const cutoff = Date.now() - 60000;
+  const recent = (sentTimes.get(channel.id) || []).filter(t => t > cutoff);
+  sentTimes.set(channel.id, recent);
+  return channel.rateLimit - recent.length;
+}
+
+function groupDue(now) {
+  const groups = new Map();
+  for (const entry of load()) {
+    if (entry.status !== 'pending' || new Date(entry.nextAttemptAt).getTime() > now) continue;
+    // Only actions batch; outage, MFA and digest alerts go out one by one.
+    // Batches share an attempt count so each entry keeps its own back-off.
+    const groupKey = entry.kind === 'action'
+      ? `${entry.channel}|action|${entry.event}|${entry.attempts}|${entry.recipients.join(',')}`
+      : entry.id;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(entry);
+  }
+  return [...groups.values()];
+}
+
+const deliveries = metrics.counter(
+  'pallet_guard_notification_deliveries_total',
+  'Notification delivery attempts by channel, channel type, event and result (sent | retrying | failed)'
+);
+
+async function sendGroup(group, channel) {
+  const attempt = group[0].attempts + 1;
+  const label = group.length > 1 ? `${group.length} ${group[0].event} notifications` : `${group[0].event} notification for ${group[0].summary}`;
+  try {
+    await notifier.deliver(group[0].channel, buildMessage(group), group[0].recipients);
+    sentTimes.get(channel.id).push(Date.now());
+    const sentAt = new Date().toISOString();
+    for (const entry of group) {
+      Object.assign(entry, { status: 'sent', attempts: attempt, sentAt, lastError: null, batchSize: group.length });
+    }
+    deliveries.inc({ channel: channel.id, type: channel.type, event: group[0].event, result: 'sent' });
+    logger.info(`📧 Sent ${label} via ${group[0].channel}`, { notification: group[0].id });
+  } catch (err) {
+    const delay = RETRY_DELAYS[attempt - 1];
+    for (const entry of group) {
+      entry.attempts = attempt;
+      entry.lastError = err.message;
+      if (delay) {
+        entry.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+      } else {
+        entry.status = 'failed';
+        entry.failedAt = new Date().toISOString();
+      }
+    }
+    deliveries.inc({ channel: channel.id, type: channel.type, event: group[0].event, result: delay ? 'retrying' : 'failed' });
+    logger[delay ? 'warn' : 'error'](delay
+      ? `⚠️ ${label} failed on ${group[0].channel} (attempt ${attempt}): ${err.message} — retrying in ${delay}s`
+      : `❌ ${label} failed on ${group[0].channel} after ${attempt} attempts: ${err.message}`, { notification: group[0].id });
+  }
+}
+
+// Send everything that's due, within each channel's rate limit
+async function flush() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    const channels = new Map(notifier.getChannels().map(ch => [ch.id, ch]));
+    for (const group of groupDue(Date.now())) {
+      const channel = channels.get(group[0].channel);
+      if (!channel) {
+        for (const entry of group) Object.assign(entry, { status: 'failed', failedAt: new Date().toISOString(), lastError: `Channel "${entry.channel}" is no longer configured` });
+        persist();
+        continue;
+      }
+      if (allowance(channel) <= 0) continue; // rate limited — next tick
+      await sendGroup(group, channel);
+      persist();
+    }
+    prune();
+  } finally {
+    flushing = false;
+  }
+}
+
+function prune() {
+  const cutoff = Date.now() - KEEP_DAYS * 86400000;
+  const finishedAt = e => (e.status === 'sent' ? e.sentAt : e.status === 'failed' ? e.failedAt || e.createdAt : null);
+  const kept = load().filter(e => !finishedAt(e) || new Date(finishedAt(e)).getTime() > cutoff);
+  if (kept.length !== entries.length) {
+    entries = kept;
+    persist();
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    flush().catch(err => logger.error(`⚠️ Outbox flush failed: ${err.message}`));
+  }, INTERVAL_MS);
+  flush().catch(err => logger.error(`⚠️ Outbox flush failed: ${err.message}`));
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function list({ status, limit = 100 } = {}) {
+  return load()
+    .filter(e => !status || e.status === status)
+    .slice(-limit)
+    .reverse()
+    .map(({ payload, ...entry }) => entry);
+}
+
+function counts() {
+  const result = {};
+  for (const status of STATUSES) result[status] = 0;
+  for (const entry of load()) result[entry.status]++;
+  return result;
+}
+
+// Put a failed entry back in the queue
+function retry(id) {
+  const entry = load().find(e => e.id === id);
+  if (!entry) return null;
+  if (entry.status !== 'failed') throw new Error(`Only failed notifications can be retried (this one is ${entry.status})`);
+  Object.assign(entry, { status: 'pending', attempts: 0, failedAt: null, nextAttemptAt: new Date().toISOString() });
+  persist();
+  return entry;
+}
+
+module.exports = {
+  STATUSES,
+  enqueueAction,
+  enqueueOutage,
+  enqueueMfa,
+  enqueueDigest,
+  flush,
+  start,
+  stop,
+  list,
+  counts,
+  retry
+};
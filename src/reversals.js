@@ -0,0 +1,92 @@
+/**
+ * Reversals — undoing a mistaken void.
+ *
+ * Before voiding, the scanner stores the checkout's full Load Entry record on
+ * the 'cancelled' audit entry. Reversing that entry:
+ *   - appends a 'reversed' audit record pointing at it (the trail stays append-only)
+ *   - records the PO as reversed in the day's state so the scanner never voids
+ *     it again, even if the payment is reinstated under a new checkout ID
+ *   - writes a report for the payments team to data/reversals/<auditId>.json
+ *     with the original payment details needed to reinstate it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const audit = require('./audit');
+const scanner = require('./scanner');
+
+const REVERSALS_DIR = path.join(store.DATA_DIR, 'reversals');
+
+function reportFile(auditId) {
+  return path.join(REVERSALS_DIR, `${path.basename(auditId)}.json`);
+}
+
+function getReport(auditId) {
+  const file = reportFile(auditId);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function buildReport(cancelled, reversal) {
+  return {
+    auditId: cancelled.id,
+    date: cancelled.date,
+    site: cancelled.site || null,
+    subDept: cancelled.subDept,
+    poNumber: cancelled.poNumber,
+    truckId: cancelled.truckId,
+    carrier: cancelled.carrier,
+    driverWalletCheckoutID: cancelled.driverWalletCheckoutID,
+    voidedAt: cancelled.timestamp,
+    voidReason: cancelled.reason,
+    rule: cancelled.rule,
+    approval: cancelled.approval || null,
+    palletsIn: cancelled.palletsIn,
+    restacksUpstacks: cancelled.restacksUpstacks,
+    lineItems: cancelled.snapshot ? cancelled.snapshot.lineItems : [],
+    originalCheckout: cancelled.checkout || null,
+    reversedBy: reversal.reversedBy,
+    reversalReason: reversal.reversalReason,
+    reversedAt: reversal.timestamp
+  };
+}
+
+/**
+ * Reverse a 'cancelled' audit entry. Returns the report, or null if no such
+ * entry exists; throws if it isn't a cancellation or was already reversed.
+ */
+function reverse(auditId, { by, reason } = {}) {
+  if (!by || !String(by).trim()) throw new Error('by is required');
+  if (!reason || !String(reason).trim()) throw new Error('reason is required');
+  const cancelled = audit.findById(auditId);
+  if (!cancelled) return null;
+  if (cancelled.type !== 'cancelled') {
+    throw new Error(`Only cancelled entries can be reversed (this one is "${cancelled.type}")`);
+  }
+  const existing = audit.findReversal(cancelled);
+  if (existing) {
+    throw new Error(`Already reversed by ${existing.reversedBy} at ${existing.timestamp}`);
+  }
+
+  const reversal = audit.record(cancelled.date, {
+    type: 'reversed',
+    reversalOf: cancelled.id,
+    site: cancelled.site,
+    subDept: cancelled.subDept,
+    poNumber: cancelled.poNumber,
+    truckId: cancelled.truckId,
+    carrier: cancelled.carrier,
+    driverWalletCheckoutID: cancelled.driverWalletCheckoutID,
+    reversedBy: String(by).trim(),
+    reversalReason: String(reason).trim(),
+    timestamp: new Date().toISOString()
+  });
+  store.recordReversed(scanner.stateFor(cancelled.date), cancelled.poNumber, cancelled.driverWalletCheckoutID, cancelled.site);
+
+  const report = buildReport(cancelled, reversal);
+  store.ensureDir(REVERSALS_DIR);
+  fs.writeFileSync(reportFile(cancelled.id), JSON.stringify(report, null, 2));
+  return report;
+}
+
+module.exports = { REVERSALS_DIR, reverse, getReport };
@@ -0,0 +1,127 @@
+/**
+ * Alert routing — who receives each notification.
+ *
+ * Routes live under "routes" in the notify config (see channels/index.js and
+ * config/notify.example.json). Every route whose match fits the action adds
+ * its `to` addresses to the site's notify list; a route with
+ * "replaceDefault": true drops the site list for that action. Match fields
+ * (all optional, all must fit):
+ *   types     — action types / events ('cancelled', 'over-no-wallet', 'down', ...)
+ *   severity  — high | medium | low (see SEVERITY)
+ *   sites, subdepts, carriers — as in rules.js (carriers case-insensitive)
+ *   hours     — "HH:MM-HH:MM" in NOTIFY_TIMEZONE; may wrap midnight ("22:00-06:00")
+ *   days      — ["mon", "tue", ...]
+ *
+ * Routes pick email recipients; which channels carry an event is still set
+ * per channel by its "events" list.
+ */
+
+const { toList } = require('./sites');
+const channelRegistry = require('./channels');
+
+const TIMEZONE = process.env.NOTIFY_TIMEZONE || 'America/New_York';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Severity per event — lets routes page someone only for what matters
+const SEVERITY = {
+  'cancelled': 'high',
+  'void-no-longer-justified': 'high',
+  'down': 'high',
+  'mfa-required': 'high',
+  'recovered': 'medium',
+  'held': 'medium',
+  'over-no-wallet': 'medium',
+  'over-alert': 'medium',
+  'would-cancel': 'low',
+  'digest': 'low'
+};
+
+function lowerList(list) {
+  return toList(list).map(v => v.toLowerCase());
+}
+
+function parseHours(value, id) {
+  if (!value) return null;
+  const m = String(value).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Route "${id}" hours must look like "06:00-14:30"`);
+  return { from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) };
+}
+
+function normalizeRoute(raw, index) {
+  const id = String(raw.id || `route${index + 1}`);
+  const match = raw.match || {};
+  const to = toList(raw.to);
+  if (!to.length && !raw.replaceDefault) throw new Error(`Route "${id}" needs "to" recipients`);
+  const days = lowerList(match.days);
+  for (const day of days) {
+    if (!DAYS.includes(day)) throw new Error(`Route "${id}" has unknown day "${day}" (expected ${DAYS.join(', ')})`);
+  }
+  return {
+    id,
+    description: raw.description || '',
+    match: {
+      types: toList(match.types),
+      severity: lowerList(match.severity),
+      sites: lowerList(match.sites),
+      subdepts: (match.subdepts || []).map(n => parseInt(n, 10)),
+      carriers: lowerList(match.carriers),
+      hours: parseHours(match.hours, id),
+      days
+    },
+    to,
+    replaceDefault: raw.replaceDefault === true
+  };
+}
+
+function loadRoutes() {
+  const config = channelRegistry.readConfig();
+  return ((config && config.routes) || []).map(normalizeRoute);
+}
+
+// Minutes since midnight and weekday of `at` in the routing timezone
+function localTime(at) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE, hour12: false, hour: '2-digit', minute: '2-digit', weekday: 'short'
+  }).formatToParts(at).map(p => [p.type, p.value]));
+  return { minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute), day: parts.weekday.toLowerCase() };
+}
+
+function inHours(hours, minutes) {
+  return hours.from <= hours.to
+    ? minutes >= hours.from && minutes < hours.to
+    : minutes >= hours.from || minutes < hours.to;
+}
+
+function matches(route, event, at) {
+  const { types, severity, sites, subdepts, carriers, hours, days } = route.match;
+  if (types.length && !types.includes(event.type)) return false;
+  if (severity.length && !severity.includes(SEVERITY[event.type])) return false;
+  if (sites.length && !sites.includes(String(event.site || '').toLowerCase())) return false;
+  if (subdepts.length && !subdepts.includes(Number(event.subDept))) return false;
+  if (carriers.length && !carriers.includes(String(event.carrier || '').toLowerCase().trim())) return false;
+  if (hours || days.length) {
+    const local = localTime(at);
+    if (hours && !inHours(hours, local.minutes)) return false;
+    if (days.length && !days.includes(local.day)) return false;
+  }
+  return true;
+}
+
+/**
+ * Recipients for an event.
+ * @param {Array} routes - from loadRoutes()
+ * @param {Object} event - { type, site, subDept, carrier }
+ * @param {string[]} defaults - the site's notify list
+ * @returns {{ recipients: string[], routes: string[], severity }}
+ */
+function resolve(routes, event, defaults, at = new Date()) {
+  const matched = routes.filter(r => matches(r, event, at));
+  const replace = matched.some(r => r.replaceDefault);
+  const recipients = new Set(replace ? [] : defaults);
+  for (const route of matched) {
+    for (const address of route.to) recipients.add(address);
+  }
+  return { recipients: [...recipients], routes: matched.map(r => r.id), severity: SEVERITY[event.type] || null };
+}
+
+module.exports = { TIMEZONE, SEVERITY, loadRoutes, resolve };
@@ -0,0 +1,116 @@
+/**
+ * Over-limit rule engine.
+ *
+ * Replaces the fixed "restacks + upstacks > pallets in" check with rules read
+ * from RULES_CONFIG (default config/rules.json, see config/rules.example.json).
+ * Rules are tried in order and the first whose `match` fits the PO wins; a
+ * built-in `default` rule reproducing the original check is always last.
+ *
+ * Rule fields (all optional except id):
+ *   match      — { sites: [...], subdepts: [...], carriers: [...] } (case-insensitive)
+ *   fees       — ancillary fee names counted as restacks (default restack, upstack)
+ *   weights    — per pallet type multiplier { white, chep, peco, igps } (default 1)
+ *   tolerance  — restacks allowed above the weighted pallet count (default 0)
+ *   action     — 'void' (default), 'hold' (void only after supervisor approval),
+ *                'alert' (notify only) or 'ignore'
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_CONFIG = process.env.RULES_CONFIG || path.join(__dirname, '..', 'config', 'rules.json');
+const ACTIONS = ['void', 'hold', 'alert', 'ignore'];
+const PALLET_TYPES = ['white', 'chep', 'peco', 'igps'];
+
+const DEFAULT_RULE = {
+  id: 'default',
+  description: 'Restacks + upstacks may not exceed pallets in',
+  match: {},
+  fees: ['restack', 'upstack'],
+  weights: { white: 1, chep: 1, peco: 1, igps: 1 },
+  tolerance: 0,
+  action: 'void'
+};
+
+function lowerList(list) {
+  return (list || []).map(v => String(v).toLowerCase().trim()).filter(Boolean);
+}
+
+function normalizeRule(raw) {
+  if (!raw.id) throw new Error(`Every rule in ${RULES_CONFIG} needs an id`);
+  const action = raw.action || DEFAULT_RULE.action;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Rule "${raw.id}" has unknown action "${action}" (expected ${ACTIONS.join(', ')})`);
+  }
+  const match = raw.match || {};
+  return {
+    id: String(raw.id),
+    description: raw.description || '',
+    match: {
+      sites: lowerList(match.sites),
+      subdepts: (match.subdepts || []).map(n => parseInt(n, 10)),
+      carriers: lowerList(match.carriers)
+    },
+    fees: raw.fees ? lowerList(raw.fees) : DEFAULT_RULE.fees,
+    weights: { ...DEFAULT_RULE.weights, ...(raw.weights || {}) },
+    tolerance: Number(raw.tolerance) || 0,
+    action
+  };
+}
+
+function loadRules() {
+  let rules = [];
+  if (fs.existsSync(RULES_CONFIG)) {
+    const parsed = JSON.parse(fs.readFileSync(RULES_CONFIG, 'utf8'));
+    rules = (Array.isArray(parsed) ? parsed : parsed.rules || []).map(normalizeRule);
+  }
+  if (!rules.some(r => r.id === DEFAULT_RULE.id)) {
+    rules.push(normalizeRule(DEFAULT_RULE));
+  }
+  return rules;
+}
+
+function matches(rule, po) {
+  const { sites, subdepts, carriers } = rule.match;
+  if (sites.length && !sites.includes(String(po.site || '').toLowerCase())) return false;
+  if (subdepts.length && !subdepts.includes(po.subDept)) return false;
+  if (carriers.length && !carriers.includes(String(po.carrier || '').toLowerCase().trim())) return false;
+  return true;
+}
+
+/**
+ * Evaluate one PO against the rules.
+ * @param {Array} rules - from loadRules()
+ * @param {Object} po - { site, subDept, carrier, pallets: { white, chep, peco, igps }, fees: { feename: qty } }
+ * @returns {{ rule, action, palletsIn, restacksUpstacks, tolerance, fees, isOver, reason }}
+ */
+function evaluate(rules, po) {
+  const rule = rules.find(r => matches(r, po)) || normalizeRule(DEFAULT_RULE);
+
+  let palletsIn = 0;
+  for (const type of PALLET_TYPES) {
+    palletsIn += (po.pallets[type] || 0) * (Number(rule.weights[type]) || 0);
+  }
+
+  let restacksUpstacks = 0;
+  for (const fee of rule.fees) {
+    restacksUpstacks += po.fees[fee] || 0;
+  }
+
+  const isOver = restacksUpstacks > palletsIn + rule.tolerance;
+  const toleranceText = rule.tolerance ? ` + tolerance (${rule.tolerance})` : '';
+  const reason = `${rule.fees.join(' + ')} (${restacksUpstacks}) ${isOver ? '>' : '<='} pallets in (${palletsIn})${toleranceText} [rule: ${rule.id}]`;
+
+  return {
+    rule: rule.id,
+    action: isOver ? rule.action : null,
+    palletsIn,
+    restacksUpstacks,
+    tolerance: rule.tolerance,
+    fees: rule.fees,
+    isOver,
+    reason
+  };
+}
+
+module.exports = { RULES_CONFIG, ACTIONS, loadRules, evaluate };
@@ -7,67 +7,171 @@
  *    → Per-PO pallet counts: palletWhiteInCount, palletChepInCount, etc.
  * 
  * 2. GET /api/subdept/{sub}/ancillaryItems/{date}/{date} (Apex Bearer)
- *    → Sum quantity where additional_Fee_Name is "Restack" or "Upstack" per PO
+ *    → Sum quantity per additional_Fee_Name per PO
  * 
  * 3. GET /api/truckSummaries/{sub}/{YYYY-MM-DD}/ (Load Entry Bearer)
  *    → Match by truckId → get driverWalletCheckoutID
  * 
- * 4. If restacks+upstacks > pallets in for a PO AND driverWalletCheckoutID exists:
+ * 4. Evaluate the PO against the over-limit rules (see rules.js). If a 'void'
+ *    rule fires AND driverWalletCheckoutID exists:
+ *    → GET /api/payment/driverwallet/checkout/{checkoutID} (kept for reversals)
  *    → DELETE /api/payment/driverwallet/checkout/void/{checkoutID}
+ *    'alert' rules only notify; 'ignore' rules mark the PO IGNORED.
+ *    POs, trucks or carriers on the exemption list (see exemptions.js) are
+ *    never voided and are marked EXEMPT instead. POs whose void was reversed
+ *    (see reversals.js) are marked REVERSED and never voided again that day.
+ *
+ * Voided POs keep being re-evaluated for the rest of the operational day.
+ * Loaders often correct restack counts in Apex after the fact; when a voided
+ * PO is no longer over the limit it is marked VOID_UNJUSTIFIED and a one-time
+ * 'void-no-longer-justified' action is raised so the payment can be reinstated.
+ *
+ * Voided checkout IDs and alerted POs are persisted per operational date
+ * (see store.js) so a restart never re-voids or re-alerts. Every action, and
+ * every failed void, is also written to the audit trail (see audit.js), and
+ * each PO row is kept in the day's snapshot (see snapshots.js) for exports.
+ *
+ * Modes:
+ *   enforce — step 4 runs as described (default)
+ *   shadow  — full comparison, but voids are only recorded as 'would-cancel'
+ *             actions; api.voidDriverWalletCheckout is never called
+ *   approval — every void is held in the approval queue (see approvals.js)
+ *             and only runs once a supervisor approves it. Rules with
+ *             action 'hold' behave this way in any mode except shadow.
+ *
+ * scan() normally looks at today's operational date in the current mode.
+ * Backfill (see backfill.js) passes { date, mode, backfill } to evaluate a
+ * past date instead; results go to that date's state, snapshot and audit file,
+ * and audit records carry the backfill job id.
  */
 
 const api = require('./api');
+const store = require('./store');
+const rules = require('./rules');
+const audit = require('./audit');
+const snapshots = require('./snapshots');
+const exemptions = require('./exemptions');
+const approvals = require('./approvals');
+const metrics = require('./metrics');
+const logger = require('./logger');
 
-const voidedCheckoutIDs = new Set();
-const alertedOverPOs = new Set();
+const MODES = ['enforce', 'shadow', 'approval'];
 
-async function scan(subDepts, apexToken, loadEntryToken, log) {
+const activeRules = rules.loadRules();
+
+let state = null;
+const failedVoids = new Map(); // checkoutID → last failure status audited
+
+const subdeptScans = metrics.counter('pallet_guard_subdept_scans_total', 'Subdept scans by site, subdept and result');
+const subdeptScanDuration = metrics.histogram(
+  'pallet_guard_subdept_scan_duration_seconds',
+  'Time to scan one subdept (fetch, evaluate, void) by site, subdept and result',
+  [0.5, 1, 2.5, 5, 10, 30, 60]
+);
+let mode = MODES.includes(process.env.SCAN_MODE) ? process.env.SCAN_MODE : 'enforce';
+
+function getRules() {
+  return activeRules;
+}
+
+function getMode() {
+  return mode;
+}
+
+function setMode(next) {
+  if (!MODES.includes(next)) {
+    throw new Error(`Unknown scan mode "${next}" (expected ${MODES.join(', ')})`);
+  }
+  mode = next;
+  return mode;
+}
+
+// Load (or roll over to) the current operational day's state.
+function currentState() {
+  const dateKey = api.todayLoadEntry();
+  if (!state || state.date !== dateKey) {
+    state = store.loadState(dateKey);
+    const pruned = store.pruneState(dateKey);
+    logger.info(`📂 Loaded state for ${dateKey}: ${state.voided.size} voided, ${state.alerted.size} alerted`);
+    if (pruned.length) logger.info(`🧹 Pruned state for ${pruned.join(', ')}`);
+  }
+  return state;
+}
+
+// State for any operational date — the live state when it's today's. Past
+// dates also take in their audit trail, in case the state file was pruned.
+function stateFor(dateKey) {
+  if (state && state.date === dateKey) return state;
+  return store.restoreFromAudit(store.loadState(dateKey), audit.query({ from: dateKey }));
+}
+
+/**
+ * Scan subdepts for one site.
+ * @param {Object} [options] - { date: 'YYYY-MM-DD', mode, backfill: job id } to
+ *   evaluate a past operational date instead of today in the current mode
+ */
+async function scan(subDepts, apexToken, loadEntryToken, site = null, options = {}) {
   const deptList = Array.isArray(subDepts) ? subDepts : [subDepts];
   const allPoData = [];
   const allActions = [];
 
   for (const subDept of deptList) {
-    const { poData, actions } = await scanOne(subDept, apexToken, loadEntryToken, log);
-    allPoData.push(...poData);
-    allActions.push(...actions);
+    const started = Date.now();
+    let result = 'error';
+    try {
+      // Every line logged for this subdept carries its site and subdept
+      const { poData, actions } = await logger.withContext({ site: site ? site.id : 'default', subDept },
+        () => scanOne(subDept, apexToken, loadEntryToken, site, options));
+      allPoData.push(...poData);
+      allActions.push(...actions);
+      result = 'success';
+    } finally {
+      const labels = { site: site ? site.id : 'default', subdept: String(subDept), result };
+      subdeptScans.inc(labels);
+      subdeptScanDuration.observe(labels, (Date.now() - started) / 1000);
+    }
   }
 
   return { poData: allPoData, actions: allActions };
 }
 
-async function scanOne(subDept, apexToken, loadEntryToken, log) {
-  const dateApex = api.todayApex();
-  const dateLE = api.todayLoadEntry();
+async function scanOne(subDept, apexToken, loadEntryToken, site, options = {}) {
+  const dateApex = options.date ? api.apexDate(options.date) : api.todayApex();
+  const dateLE = options.date || api.todayLoadEntry();
+  const scanMode = options.mode || mode;
+  const siteId = site ? site.id : null;
+  const tag = `${siteId ? `${siteId}/SD${subDept}` : `SD${subDept}`}${options.date ? ` ${dateLE}` : ''}`;
 
   // 1. Fetch POs — per-PO pallet counts
-  log(`[SD${subDept}] Fetching POs...`);
+  logger.info(`[${tag}] Fetching POs...`);
   const pos = await api.fetchApex(
     `subdept/${subDept}/pos/${dateApex}/${dateApex}`,
     apexToken
   );
 
   // 2. Fetch ancillary items — restacks/upstacks per PO
-  log(`[SD${subDept}] Fetching ancillary items...`);
+  logger.info(`[${tag}] Fetching ancillary items...`);
   const ancillary = await api.fetchApex(
     `subdept/${subDept}/ancillaryItems/${dateApex}/${dateApex}`,
     apexToken
   );
 
-  const restacksByPO = {};
+  const feesByPO = {};
+  const itemsByPO = {};
   const carrierByPO = {};
   for (const item of ancillary) {
     const po = item.pO_Number;
     if (po && item.carrier_Name) carrierByPO[po] = item.carrier_Name;
     const feeName = (item.additional_Fee_Name || '').toLowerCase().trim();
-    if (feeName === 'restack' || feeName === 'upstack') {
-      if (po) {
-        restacksByPO[po] = (restacksByPO[po] || 0) + (parseFloat(item.quantity) || 0);
-      }
+    if (po && feeName) {
+      const fees = feesByPO[po] || (feesByPO[po] = {});
+      fees[feeName] = (fees[feeName] || 0) + (parseFloat(item.quantity) || 0);
+      (itemsByPO[po] || (itemsByPO[po] = [])).push(item);
     }
   }
 
   // 3. Fetch Load Entry truck summaries
-  log(`[SD${subDept}] Fetching Load Entry truck summaries...`);
+  logger.info(`[${tag}] Fetching Load Entry truck summaries...`);
   let leTrucks = [];
   try {
     leTrucks = await api.fetchLoadEntry(
@@ -76,7 +180,7 @@ async function scanOne(subDept, apexToken, loadEntryToken, log) {
     );
   } catch (err) {
     if (err.status === 401) throw err; // bubble up for re-auth
-    log(`Warning: Load Entry truckSummaries failed: ${err.message}`);
+    logger.warn(`Warning: Load Entry truckSummaries failed: ${err.message}`);
   }
 
   const leByTruckID = {};
@@ -84,6 +188,9 @@ async function scanOne(subDept, apexToken, loadEntryToken, log) {
     if (t.truckID) leByTruckID[t.truckID] = t;
   }
 
+  const dayState = options.date ? stateFor(options.date) : currentState();
+  const { voided, alerted, wouldVoid, exempted, reversed, unjustified } = dayState;
+  const shadow = scanMode === 'shadow';
   const poData = [];
   const actions = [];
 
@@ -91,66 +198,193 @@ async function scanOne(subDept, apexToken, loadEntryToken, log) {
     const poNumber = po.poNumber || '';
     const truckId = po.truckId || '';
     const carrier = carrierByPO[poNumber] || (leByTruckID[truckId] ? leByTruckID[truckId].carrierName : '') || '';
+    const pallets = {
+      white: po.palletWhiteInCount || 0,
+      chep: po.palletChepInCount || 0,
+      peco: po.palletPecoInCount || 0,
+      igps: po.palletIgpsInCount || 0
+    };
+
+    const evaluation = rules.evaluate(activeRules, {
+      site: siteId, subDept, carrier, pallets, fees: feesByPO[poNumber] || {}
+    });
+    const { palletsIn, restacksUpstacks } = evaluation;
+
+    const leTruck = leByTruckID[truckId] || null;
+    const checkoutID = leTruck ? (leTruck.driverWalletCheckoutID || null) : null;
 
-    const palletsIn = (po.palletWhiteInCount || 0) + (po.palletChepInCount || 0)
-      + (po.palletPecoInCount || 0) + (po.palletIgpsInCount || 0);
+    // PO snapshot for the audit trail: what the decision was based on
+    const snapshot = (apiStatus) => ({
+      pallets,
+      palletsIn,
+      restacksUpstacks,
+      tolerance: evaluation.tolerance,
+      lineItems: (itemsByPO[poNumber] || [])
+        .filter(item => evaluation.fees.includes((item.additional_Fee_Name || '').toLowerCase().trim()))
+        .map(item => ({
+          feeName: item.additional_Fee_Name,
+          quantity: parseFloat(item.quantity) || 0,
+          carrier: item.carrier_Name || null
+        })),
+      driverWalletCheckoutID: checkoutID,
+      apiStatus: apiStatus || null
+    });
 
-    const restacksUpstacks = restacksByPO[poNumber] || 0;
-    const isOver = restacksUpstacks > palletsIn;
+    const newAction = (type) => ({
+      type,
+      shadow,
+      site: siteId,
+      subDept,
+      poNumber,
+      truckId,
+      carrier,
+      palletsIn,
+      restacksUpstacks,
+      rule: evaluation.rule,
+      reason: evaluation.reason,
+      driverWalletCheckoutID: type === 'over-no-wallet' ? null : checkoutID,
+      ...(options.backfill ? { backfill: options.backfill } : {}),
+      timestamp: new Date().toISOString()
+    });
+
+    // Supervisor exemptions only matter for payments we'd otherwise void
+    const voiding = evaluation.action === 'void' || evaluation.action === 'hold';
+    const exemption = voiding && !voided.has(checkoutID)
+      ? exemptions.find({ poNumber, truckId, carrier })
+      : null;
 
     let status = 'OK';
 
-    if (isOver) {
+    if (!evaluation.isOver && checkoutID && voided.has(checkoutID) && !store.hasPo(reversed, siteId, poNumber)) {
+      status = 'VOID_UNJUSTIFIED';
+      if (!unjustified.has(checkoutID)) {
+        store.recordUnjustified(dayState, checkoutID, poNumber);
+        const cancelled = audit.query({ from: dayState.date, type: 'cancelled', po: poNumber })
+          .find(rec => rec.driverWalletCheckoutID === checkoutID);
+        logger.info(`↩️ PO ${poNumber}: voided but no longer over the limit (${restacksUpstacks} restacks vs ${palletsIn} pallets in) — review CheckoutID ${checkoutID}`, { po: poNumber });
+        const action = {
+          ...newAction('void-no-longer-justified'),
+          cancellationId: cancelled ? cancelled.id : null,
+          voidedAt: cancelled ? cancelled.timestamp : null
+        };
+        audit.record(dayState.date, { ...action, snapshot: snapshot() });
+        actions.push(action);
+      }
+    } else if (evaluation.action === 'ignore') {
+      status = 'IGNORED';
+    } else if (evaluation.action === 'alert') {
+      status = 'OVER';
+      if (!store.hasPo(alerted, siteId, poNumber)) {
+        store.recordAlert(dayState, poNumber, siteId);
+        logger.warn(`⚠️ PO ${poNumber}: over limit, alert only — ${evaluation.reason}`, { po: poNumber });
+        const action = newAction('over-alert');
+        audit.record(dayState.date, { ...action, snapshot: snapshot() });
+        actions.push(action);
+      }
+    } else if (exemption) {
+      status = 'EXEMPT';
+      const key = checkoutID || poNumber;
+      if (!store.hasPo(exempted, siteId, key)) {
+        store.recordExempt(dayState, key, poNumber, siteId);
+        logger.info(`🛂 PO ${poNumber} exempt (${exemption.kind} "${exemption.value}": ${exemption.reason}) — not voiding`, { po: poNumber });
+        const action = {
+          ...newAction('exempt'),
+          exemption: { id: exemption.id, kind: exemption.kind, value: exemption.value, reason: exemption.reason, createdBy: exemption.createdBy }
+        };
+        audit.record(dayState.date, { ...action, snapshot: snapshot() });
+        actions.push(action);
+      }
+    } else if (voiding && store.hasPo(reversed, siteId, poNumber)) {
+      status = 'REVERSED';
+    } else if (voiding) {
       status = 'OVER';
 
-      const leTruck = leByTruckID[truckId] || null;
-      const checkoutID = leTruck ? (leTruck.driverWalletCheckoutID || null) : null;
+      // Held for approval? An approved item falls through to the void below.
+      const held = !shadow && checkoutID && !voided.has(checkoutID)
+        && (scanMode === 'approval' || evaluation.action === 'hold');
+      const approval = held ? approvals.findByCheckout(checkoutID) : null;
 
-      if (checkoutID) {
-        if (!voidedCheckoutIDs.has(checkoutID)) {
+      if (checkoutID && shadow && !voided.has(checkoutID)) {
+        status = 'WOULD_CANCEL';
+        if (!wouldVoid.has(checkoutID)) {
+          store.recordWouldVoid(dayState, checkoutID, poNumber);
+          logger.info(`👻 [SHADOW] Would cancel wallet payment for PO ${poNumber} | Truck ${truckId.substring(0,8)}... | CheckoutID ${checkoutID}`, { po: poNumber });
+          const action = newAction('would-cancel');
+          audit.record(dayState.date, { ...action, snapshot: snapshot() });
+          actions.push(action);
+        }
+      } else if (held && !approval) {
+        status = 'PENDING_APPROVAL';
+        const action = newAction('held');
+        const item = approvals.enqueue(dayState.date, action, snapshot());
+        action.approvalId = item.id;
+        action.expiresAt = item.expiresAt;
+        logger.info(`⏸️ PO ${poNumber}: held for approval (CheckoutID ${checkoutID}, decide by ${item.expiresAt})`, { po: poNumber });
+        audit.record(dayState.date, { ...action, snapshot: item.snapshot });
+        actions.push(action);
+      } else if (held && approval.status === 'pending') {
+        status = 'PENDING_APPROVAL';
+      } else if (held && approval.status === 'rejected') {
+        status = 'RELEASED';
+      } else if (checkoutID) {
+        if (!voided.has(checkoutID)) {
           try {
-            await api.voidDriverWalletCheckout(checkoutID, loadEntryToken);
-            voidedCheckoutIDs.add(checkoutID);
+            let checkout = null;
+            try {
+              checkout = await api.getDriverWalletCheckout(checkoutID, loadEntryToken);
+            } catch (err) {
+              if (err.status === 401) throw err;
+              logger.warn(`Warning: could not fetch checkout ${checkoutID} before voiding: ${err.message}`, { po: poNumber });
+            }
+            const response = await api.voidDriverWalletCheckout(checkoutID, loadEntryToken);
+            store.recordVoid(dayState, checkoutID, poNumber);
+            failedVoids.delete(checkoutID);
             status = 'CANCELLED';
-            log(`🚫 CANCELLED wallet payment for PO ${poNumber} | Truck ${truckId.substring(0,8)}... | CheckoutID ${checkoutID}`);
-            actions.push({
-              type: 'cancelled',
-              poNumber,
-              truckId,
-              carrier,
-              palletsIn,
-              restacksUpstacks,
-              driverWalletCheckoutID: checkoutID,
-              timestamp: new Date().toISOString()
-            });
+            logger.info(`🚫 CANCELLED wallet payment for PO ${poNumber} | Truck ${truckId.substring(0,8)}... | CheckoutID ${checkoutID}${approval ? ` (approved by ${approval.decidedBy})` : ''}`, { po: poNumber });
+            const action = newAction('cancelled');
+            if (approval) {
+              approvals.markVoided(approval.id);
+              action.approval = approvals.approvalSummary(approval);
+            }
+            audit.record(dayState.date, { ...action, checkout, snapshot: snapshot(response.status) });
+            actions.push(action);
           } catch (err) {
             if (err.status === 401) throw err;
-            log(`❌ Failed to void checkoutID ${checkoutID} for PO ${poNumber}: ${err.message}`);
+            logger.error(`❌ Failed to void checkoutID ${checkoutID} for PO ${poNumber}: ${err.message}`, { po: poNumber });
+            // Retried every cycle — audit only when the failure changes
+            const failStatus = err.status || err.message;
+            if (failedVoids.get(checkoutID) !== failStatus) {
+              failedVoids.set(checkoutID, failStatus);
+              audit.record(dayState.date, {
+                ...newAction('void-failed'),
+                error: err.message,
+                snapshot: snapshot(err.status || null)
+              });
+            }
           }
         } else {
           status = 'CANCELLED';
         }
-      } else if (!alertedOverPOs.has(poNumber)) {
-        alertedOverPOs.add(poNumber);
-        log(`⚠️ PO ${poNumber}: restacks (${restacksUpstacks}) > pallets in (${palletsIn}) — no wallet payment found`);
-        actions.push({
-          type: 'over-no-wallet',
-          poNumber,
-          truckId,
-          carrier,
-          palletsIn,
-          restacksUpstacks,
-          driverWalletCheckoutID: null,
-          timestamp: new Date().toISOString()
-        });
+      } else if (!store.hasPo(alerted, siteId, poNumber)) {
+        store.recordAlert(dayState, poNumber, siteId);
+        logger.warn(`⚠️ PO ${poNumber}: ${evaluation.reason} — no wallet payment found`, { po: poNumber });
+        const action = newAction('over-no-wallet');
+        audit.record(dayState.date, { ...action, snapshot: snapshot() });
+        actions.push(action);
       }
     }
 
-    poData.push({ subDept, poNumber, truckId, carrier, palletsIn, restacksUpstacks, status });
+    poData.push({
+      site: siteId, subDept, poNumber, truckId, carrier, pallets, palletsIn, restacksUpstacks,
+      rule: evaluation.rule, driverWalletCheckoutID: checkoutID,
+      exemption: exemption ? exemption.id : null, status
+    });
   }
 
-  log(`[SD${subDept}] Scan complete: ${poData.length} POs, ${poData.filter(p => p.status === 'OVER').length} over, ${actions.length} newly cancelled`);
+  snapshots.save(dayState.date, poData);
+
+  logger.info(`[${tag}] Scan complete${shadow ? ' (shadow)' : ''}: ${poData.length} POs, ${poData.filter(p => p.status === 'OVER').length} over, ${actions.length} new actions`);
   return { poData, actions };
 }
 
-module.exports = { scan };
+module.exports = { scan, currentState, stateFor, getRules, getMode, setMode, MODES };
@@ -0,0 +1,166 @@
+/**
+ * Secrets — where passwords and keys come from.
+ *
+ * Everything that reads a credential goes through get(name): the default
+ * logins (APEX_PASSWORD, LOADENTRY_PASSWORD, ...) and every ${NAME} reference
+ * in config/sites.json and config/notify.json (see sites.expandEnv). The
+ * backend is picked by SECRETS_PROVIDER:
+ *   env     — process.env, i.e. .env (default)
+ *   file    — encrypted JSON file SECRETS_FILE (default data/secrets.enc),
+ *             unlocked by SECRETS_MASTER_KEY or the key in SECRETS_MASTER_KEY_FILE;
+ *             manage it with `node manage-secrets.js`
+ *   command — runs SECRETS_COMMAND with the secret name as its only argument
+ *             and uses stdout (e.g. a vault CLI wrapper); exit code ≠ 0 = not found
+ * Names the file / command backends don't have fall back to process.env, so
+ * non-secret settings can stay in .env.
+ *
+ * Values are cached; rotate() stores new values (file, env) and/or reloads from
+ * the backend, and callers that built clients from secrets (notifier channels)
+ * rebuild them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const store = require('./store');
+
+const PROVIDER = process.env.SECRETS_PROVIDER || 'env';
+const SECRETS_FILE = process.env.SECRETS_FILE || path.join(store.DATA_DIR, 'secrets.enc');
+const COMMAND_TIMEOUT_MS = 10000;
+
+const PROVIDERS = {
+  env: {
+    canWrite: true,
+    read: name => process.env[name],
+    // In-memory only: a restart goes back to .env
+    write: values => Object.assign(process.env, values),
+    reload: () => {}
+  },
+
+  file: {
+    canWrite: true,
+    read: name => readFile()[name],
+    write: values => writeFile({ ...readFile(), ...values }),
+    reload: () => { fileCache = null; }
+  },
+
+  command: {
+    canWrite: false,
+    read: name => runCommand(name),
+    reload: () => {}
+  }
+};
+
+let fileCache = null;
+const cache = new Map();
+
+function provider() {
+  const p = PROVIDERS[PROVIDER];
+  if (!p) throw new Error(`Unknown SECRETS_PROVIDER "${PROVIDER}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  return p;
+}
+
+// --- encrypted file ---
+
+function masterKey() {
+  let passphrase = process.env.SECRETS_MASTER_KEY;
+  if (!passphrase && process.env.SECRETS_MASTER_KEY_FILE) {
+    passphrase = fs.readFileSync(process.env.SECRETS_MASTER_KEY_FILE, 'utf8').trim();
+  }
+  if (!passphrase) throw new Error('The encrypted secrets file needs SECRETS_MASTER_KEY or SECRETS_MASTER_KEY_FILE');
+  return passphrase;
+}
+
+// File format: { version, salt, iv, tag, data } — scrypt(master key, salt) → AES-256-GCM
+function readFile(file = SECRETS_FILE) {
+  if (fileCache) return fileCache;
+  if (!fs.existsSync(file)) return (fileCache = {});
+  const box = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const key = crypto.scryptSync(masterKey(), Buffer.from(box.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  try {
+    fileCache = JSON.parse(Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8'));
+  } catch (err) {
+    throw new Error(`Can't decrypt ${file} — wrong master key?`);
+  }
+  return fileCache;
+}
+
+function writeFile(values, file = SECRETS_FILE) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(masterKey(), salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+  const box = {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+  store.ensureDir(path.dirname(file));
+  fs.writeFileSync(file + '.tmp', JSON.stringify(box, null, 2), { mode: 0o600 });
+  fs.renameSync(file + '.tmp', file);
+  fileCache = values;
+}
+
+// --- helper command ---
+
+function runCommand(name) {
+  if (!process.env.SECRETS_COMMAND) throw new Error('SECRETS_PROVIDER=command needs SECRETS_COMMAND');
+  try {
+    return execFileSync(process.env.SECRETS_COMMAND, [name], {
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT_MS,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).replace(/\r?\n$/, '');
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`SECRETS_COMMAND not found: ${process.env.SECRETS_COMMAND}`);
+    return undefined; // non-zero exit: the helper doesn't have it
+  }
+}
+
+// --- public API ---
+
+function get(name) {
+  if (!cache.has(name)) {
+    const value = provider().read(name);
+    cache.set(name, value !== undefined && value !== null ? String(value) : process.env[name]);
+  }
+  return cache.get(name);
+}
+
+/**
+ * Store new values (when the backend can) and drop every cached value, so the
+ * next get() reads from the backend again.
+ * @param {Object} values - { NAME: newValue } (may be empty to just reload)
+ * @returns {string[]} names that were stored
+ */
+function rotate(values = {}) {
+  const names = Object.keys(values);
+  for (const name of names) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name)) throw new Error(`Secret names must look like ENV_VAR names ("${name}")`);
+    if (typeof values[name] !== 'string' || !values[name]) throw new Error(`Secret "${name}" needs a non-empty string value`);
+  }
+  const p = provider();
+  if (names.length) {
+    if (!p.canWrite) throw new Error(`The ${PROVIDER} secrets provider is read-only — update the secret at its source and reload`);
+    p.write(values);
+  }
+  p.reload();
+  cache.clear();
+  return names;
+}
+
+function describe() {
+  return {
+    provider: PROVIDER,
+    writable: provider().canWrite,
+    file: PROVIDER === 'file' ? SECRETS_FILE : undefined
+  };
+}
+
+module.exports = { PROVIDER, SECRETS_FILE, get, rotate, describe, readFile, writeFile };
@@ -0,0 +1,124 @@
+/**
+ * Site configuration — which DCs and subdepts this service monitors.
+ *
+ * Read from SITES_CONFIG (default config/sites.json). See
+ * config/sites.example.json for the format. Each site has:
+ *   id, name        — short key used to tag PO rows + display name
+ *   subdepts        — Apex subdepartment numbers to scan
+ *   notify          — alert recipients (falls back to NOTIFY_EMAIL)
+ *   credentials     — optional { apexUsername, apexPassword, loadEntryEmail,
+ *                     loadEntryPassword, loadEntryTotpSecret }; sites without
+ *                     their own share the .env login. Values may reference env
+ *                     vars as ${NAME}. loadEntryTotpSecret is only needed when
+ *                     the Load Entry account has authenticator-app MFA (totp.js).
+ *
+ * ${NAME} references and the .env login are resolved through secrets.js each
+ * time a credential is read, so a rotated password is used at the next login.
+ *
+ * Without a config file the service behaves as before: one site, subdepts 85 & 86.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const secrets = require('./secrets');
+
+const SITES_CONFIG = process.env.SITES_CONFIG || path.join(__dirname, '..', 'config', 'sites.json');
+const DEFAULT_CREDENTIALS_ID = 'default';
+const CREDENTIAL_KEYS = ['apexUsername', 'apexPassword', 'loadEntryEmail', 'loadEntryPassword', 'loadEntryTotpSecret'];
+
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => secrets.get(name) || '');
+}
+
+// Credential set whose values are looked up on every read (see secrets.js)
+function lazyCredentials(id, templates) {
+  const credentials = { id };
+  for (const key of CREDENTIAL_KEYS) {
+    Object.defineProperty(credentials, key, { enumerable: true, get: () => expandEnv(templates[key] || '') || '' });
+  }
+  return credentials;
+}
+
+function defaultCredentials() {
+  return lazyCredentials(DEFAULT_CREDENTIALS_ID, {
+    apexUsername: '${APEX_USERNAME}',
+    apexPassword: '${APEX_PASSWORD}',
+    loadEntryEmail: '${LOADENTRY_EMAIL}',
+    loadEntryPassword: '${LOADENTRY_PASSWORD}',
+    loadEntryTotpSecret: '${LOADENTRY_TOTP_SECRET}'
+  });
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function normalizeSite(raw, index) {
+  const id = String(raw.id || `site${index + 1}`).trim();
+  const subdepts = (raw.subdepts || []).map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+  if (subdepts.length === 0) {
+    throw new Error(`Site "${id}" in ${SITES_CONFIG} has no subdepts`);
+  }
+
+  const credentials = raw.credentials ? lazyCredentials(id, raw.credentials) : null;
+
+  return {
+    id,
+    name: raw.name || id,
+    subdepts,
+    notify: toList(raw.notify).length ? toList(raw.notify) : toList(process.env.NOTIFY_EMAIL),
+    credentials,
+    credentialsId: credentials ? id : DEFAULT_CREDENTIALS_ID
+  };
+}
+
+function loadSites() {
+  if (!fs.existsSync(SITES_CONFIG)) {
+    return [normalizeSite({ id: 'default', name: 'Default', subdepts: [85, 86] }, 0)];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(SITES_CONFIG, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.sites;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`${SITES_CONFIG} must list at least one site`);
+  }
+
+  const sites = list.map(normalizeSite);
+  const ids = new Set();
+  for (const site of sites) {
+    if (ids.has(site.id)) throw new Error(`Duplicate site id "${site.id}" in ${SITES_CONFIG}`);
+    ids.add(site.id);
+  }
+  return sites;
+}
+
+// Distinct credential sets across sites — one login (and one browser context) each.
+function credentialSets(sites) {
+  const sets = new Map();
+  for (const site of sites) {
+    if (!sets.has(site.credentialsId)) {
+      sets.set(site.credentialsId, site.credentials || defaultCredentials());
+    }
+  }
+  return sets;
+}
+
+// Public view of a site: never expose credentials over the API.
+function describe(site) {
+  return { id: site.id, name: site.name, subdepts: site.subdepts, notify: site.notify };
+}
+
+module.exports = {
+  SITES_CONFIG,
+  DEFAULT_CREDENTIALS_ID,
+  loadSites,
+  credentialSets,
+  defaultCredentials,
+  describe,
+  expandEnv,
+  toList
+};
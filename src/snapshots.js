@@ -0,0 +1,63 @@
+/**
+ * Daily PO snapshots — the latest row for every PO seen on an operational date.
+ *
+ * lastScanResult only holds the most recent scan; this keeps one row per
+ * site/subdept/PO for the whole day in data/scans/YYYY-MM-DD.json so exports
+ * and reports can be produced after the fact. Each save merges the new rows
+ * over the existing ones and stamps firstSeen/lastSeen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const SCANS_DIR = path.join(store.DATA_DIR, 'scans');
+
+let cache = null; // { date, rows: { key → row } } for the current day
+
+function snapshotFile(dateKey) {
+  return path.join(SCANS_DIR, `${dateKey}.json`);
+}
+
+function rowKey(row) {
+  return `${row.site || ''}|${row.subDept}|${row.poNumber}`;
+}
+
+function readDay(dateKey) {
+  const file = snapshotFile(dateKey);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).rows || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function save(dateKey, poData) {
+  if (!cache || cache.date !== dateKey) {
+    cache = { date: dateKey, rows: readDay(dateKey) };
+  }
+  const now = new Date().toISOString();
+  for (const row of poData) {
+    const key = rowKey(row);
+    const previous = cache.rows[key];
+    cache.rows[key] = { ...row, firstSeen: previous ? previous.firstSeen : now, lastSeen: now };
+  }
+
+  store.ensureDir(SCANS_DIR);
+  const file = snapshotFile(dateKey);
+  fs.writeFileSync(file + '.tmp', JSON.stringify({ date: dateKey, rows: cache.rows }));
+  fs.renameSync(file + '.tmp', file);
+}
+
+// All PO rows for an operational date, sorted by site, subdept, PO.
+function load(dateKey) {
+  const rows = cache && cache.date === dateKey ? cache.rows : readDay(dateKey);
+  return Object.values(rows).sort((a, b) =>
+    String(a.site || '').localeCompare(String(b.site || ''))
+    || a.subDept - b.subDept
+    || String(a.poNumber).localeCompare(String(b.poNumber))
+  );
+}
+
+module.exports = { SCANS_DIR, save, load };
@@ -0,0 +1,163 @@
+/**
+ * State store — durable scanner state that must survive restarts.
+ *
+ * Voided checkout IDs and alerted POs are appended to one JSON-lines file per
+ * operational date (data/state/YYYY-MM-DD.jsonl):
+ *   {"kind":"voided","key":"<checkoutID>","poNumber":"...","ts":"..."}
+ *   {"kind":"alerted","key":"<poNumber>","site":"...","ts":"..."}
+ *   {"kind":"wouldVoid","key":"<checkoutID>","poNumber":"...","ts":"..."}  (shadow mode)
+ *   {"kind":"exempted","key":"<checkoutID or poNumber>","poNumber":"...","site":"...","ts":"..."}
+ *   {"kind":"reversed","key":"<poNumber>","checkoutID":"...","site":"...","ts":"..."}  (void reversed — never void again)
+ *   {"kind":"unjustified","key":"<checkoutID>","poNumber":"...","ts":"..."}  (voided PO no longer over)
+ *
+ * The scanner loads the current day's file at startup (and again when the
+ * 2:00 AM boundary rolls over) and appends a line on every void or alert.
+ * Files older than STATE_RETENTION_DAYS are pruned automatically.
+ *
+ * PO numbers are only unique within a site, so PO-keyed lines carry the site
+ * and are looked up with hasPo(set, site, poNumber). Lines written before
+ * that have no site and match the PO at every site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const STATE_DIR = path.join(DATA_DIR, 'state');
+const RETENTION_DAYS = parseInt(process.env.STATE_RETENTION_DAYS, 10) || 7;
+const KINDS = ['voided', 'alerted', 'wouldVoid', 'exempted', 'reversed', 'unjustified'];
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function appendLine(file, record) {
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch (e) { /* skip torn line from a crash */ }
+  }
+  return records;
+}
+
+function stateFile(dateKey) {
+  return path.join(STATE_DIR, `${dateKey}.jsonl`);
+}
+
+function poKey(site, poNumber) {
+  return `${site || ''}|${poNumber}`;
+}
+
+// The key a state line is held under in memory
+function memberKey(rec) {
+  return 'site' in rec ? poKey(rec.site, rec.key) : rec.key;
+}
+
+function hasPo(set, site, poNumber) {
+  return set.has(poKey(site, poNumber)) || set.has(poNumber);
+}
+
+function loadState(dateKey) {
+  const state = { date: dateKey };
+  for (const kind of KINDS) state[kind] = new Set();
+  for (const rec of readLines(stateFile(dateKey))) {
+    if (state[rec.kind]) state[rec.kind].add(memberKey(rec));
+  }
+  return state;
+}
+
+function record(state, kind, key, extra) {
+  const rec = { kind, key, ...extra, ts: new Date().toISOString() };
+  state[kind].add(memberKey(rec));
+  appendLine(stateFile(state.date), rec);
+}
+
+// What each audited action implies for the day's state: [kind, key, site]
+const AUDITED_STATE = {
+  cancelled: rec => ['voided', rec.driverWalletCheckoutID],
+  'would-cancel': rec => ['wouldVoid', rec.driverWalletCheckoutID],
+  'void-no-longer-justified': rec => ['unjustified', rec.driverWalletCheckoutID],
+  'over-alert': rec => ['alerted', rec.poNumber, rec.site],
+  'over-no-wallet': rec => ['alerted', rec.poNumber, rec.site],
+  exempt: rec => ['exempted', rec.driverWalletCheckoutID || rec.poNumber, rec.site],
+  reversed: rec => ['reversed', rec.poNumber, rec.site]
+};
+
+/**
+ * Add what a day's audit records show was already done to its state, in
+ * memory only. State files are pruned after STATE_RETENTION_DAYS but the
+ * audit trail is kept, so this stops a backfill of an older date voiding or
+ * alerting twice, or voiding a reversed PO.
+ */
+function restoreFromAudit(state, records) {
+  for (const rec of records) {
+    if (!AUDITED_STATE[rec.type]) continue;
+    const [kind, key, site] = AUDITED_STATE[rec.type](rec);
+    if (!key) continue;
+    state[kind].add(site === undefined ? key : poKey(site, key));
+  }
+  return state;
+}
+
+function recordVoid(state, checkoutID, poNumber) {
+  record(state, 'voided', checkoutID, { poNumber });
+}
+
+function recordAlert(state, poNumber, site) {
+  record(state, 'alerted', poNumber, { site: site || null });
+}
+
+function recordWouldVoid(state, checkoutID, poNumber) {
+  record(state, 'wouldVoid', checkoutID, { poNumber });
+}
+
+function recordExempt(state, key, poNumber, site) {
+  record(state, 'exempted', key, { poNumber, site: site || null });
+}
+
+function recordReversed(state, poNumber, checkoutID, site) {
+  record(state, 'reversed', poNumber, { checkoutID, site: site || null });
+}
+
+function recordUnjustified(state, checkoutID, poNumber) {
+  record(state, 'unjustified', checkoutID, { poNumber });
+}
+
+// Remove state files for operational dates older than the retention window.
+function pruneState(todayKey, keepDays = RETENTION_DAYS) {
+  if (!fs.existsSync(STATE_DIR)) return [];
+  const cutoff = new Date(`${todayKey}T00:00:00`);
+  cutoff.setDate(cutoff.getDate() - keepDays);
+  const removed = [];
+  for (const name of fs.readdirSync(STATE_DIR)) {
+    const m = name.match(/^(\d{4}-\d{2}-\d{2})\.jsonl$/);
+    if (m && new Date(`${m[1]}T00:00:00`) < cutoff) {
+      fs.unlinkSync(path.join(STATE_DIR, name));
+      removed.push(m[1]);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  DATA_DIR,
+  ensureDir,
+  appendLine,
+  readLines,
+  loadState,
+  hasPo,
+  restoreFromAudit,
+  recordVoid,
+  recordAlert,
+  recordWouldVoid,
+  recordExempt,
+  recordReversed,
+  recordUnjustified,
+  pruneState
+};
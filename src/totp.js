@@ -0,0 +1,66 @@
+/**
+ * TOTP (RFC 6238) — verification codes for an MFA-enabled Load Entry account.
+ *
+ * The secret is the one shown when the authenticator app is set up: either the
+ * base32 key ("JBSW Y3DP ...", spaces ignored) or the full otpauth:// URI from
+ * the QR code, whose digits / period / algorithm override the defaults
+ * (6 digits, 30 s, SHA-1).
+ */
+
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function decodeBase32(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error(`TOTP secret has an invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  if (!bytes.length) throw new Error('TOTP secret is empty');
+  return Buffer.from(bytes);
+}
+
+// { key, digits, period, algorithm } from a base32 secret or otpauth:// URI
+function parseSecret(secret) {
+  const options = { digits: 6, period: 30, algorithm: 'sha1' };
+  if (/^otpauth:\/\//i.test(secret)) {
+    const url = new URL(secret);
+    const params = url.searchParams;
+    if (!params.get('secret')) throw new Error('TOTP otpauth URI has no secret');
+    if (params.get('digits')) options.digits = parseInt(params.get('digits'), 10);
+    if (params.get('period')) options.period = parseInt(params.get('period'), 10);
+    if (params.get('algorithm')) options.algorithm = params.get('algorithm').toLowerCase();
+    return { key: decodeBase32(params.get('secret')), ...options };
+  }
+  return { key: decodeBase32(secret), ...options };
+}
+
+/**
+ * Code for a secret at a point in time.
+ * @returns {{ code: string, expiresIn: number }} - expiresIn in seconds
+ */
+function generate(secret, at = Date.now()) {
+  const { key, digits, period, algorithm } = parseSecret(secret);
+  const counter = Math.floor(at / 1000 / period);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    expiresIn: period - Math.floor(at / 1000) % period
+  };
+}
+
+module.exports = { generate, parseSecret };
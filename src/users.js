@@ -0,0 +1,236 @@
+/**
+ * Users — local accounts and API tokens for the dashboard and control API.
+ *
+ * Kept in data/users.json:
+ *   { username, role, passwordHash, sessionsValidAfter, createdAt,
+ *     tokens: [{ id, label, hash, createdAt, lastUsedAt }] }
+ * Passwords are scrypt hashes ("scrypt$salt$hash"); API tokens are shown once
+ * ("pgt_<id>_<secret>") and only a SHA-256 of the secret is stored.
+ *
+ * Roles, each including the ones before it:
+ *   viewer   — dashboard, status, history, exports
+ *   operator — start/stop the scanner, re-auth, approvals, exemptions,
+ *              reversals, notification retries, digests
+ *   admin    — scan mode, secrets, users, control log
+ * Manage accounts with `node manage-users.js` or the /api/users endpoints.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const store = require('./store');
+
+const USERS_FILE = path.join(store.DATA_DIR, 'users.json');
+const ROLES = ['viewer', 'operator', 'admin'];
+const MIN_PASSWORD_LENGTH = 10;
+const scrypt = promisify(crypto.scrypt);
+
+let users = null;
+let loadedMtime = null;
+
+// Re-read when the file changes, so manage-users.js edits apply to a running service
+function load() {
+  const mtime = fs.existsSync(USERS_FILE) ? fs.statSync(USERS_FILE).mtimeMs : null;
+  if (!users || mtime !== loadedMtime) {
+    users = mtime !== null ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : [];
+    loadedMtime = mtime;
+  }
+  return users;
+}
+
+function persist() {
+  store.ensureDir(path.dirname(USERS_FILE));
+  fs.writeFileSync(USERS_FILE + '.tmp', JSON.stringify(users, null, 2), { mode: 0o600 });
+  fs.renameSync(USERS_FILE + '.tmp', USERS_FILE);
+  loadedMtime = fs.statSync(USERS_FILE).mtimeMs;
+}
+
+// What the API and dashboard may see — never hashes
+function publicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    tokens: user.tokens.map(({ hash, ...token }) => token)
+  };
+}
+
+function find(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return load().find(u => u.username === name) || null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkPassword(stored, password) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function list() {
+  return load().map(publicUser);
+}
+
+function get(username) {
+  const user = find(username);
+  return user ? publicUser(user) : null;
+}
+
+async function create({ username, password, role = 'viewer' }) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9._@-]{1,63}$/.test(name)) {
+    throw new Error('username must be 2-64 characters: letters, digits, . _ @ -');
+  }
+  if (find(name)) throw new Error(`User "${name}" already exists`);
+  validateRole(role);
+  validatePassword(password);
+  const user = {
+    username: name,
+    role,
+    passwordHash: await hashPassword(password),
+    sessionsValidAfter: null,
+    createdAt: new Date().toISOString(),
+    tokens: []
+  };
+  load().push(user);
+  persist();
+  return publicUser(user);
+}
+
+// Change role and/or password; either signs the user's sessions out
+async function update(username, { role, password } = {}) {
+  const user = find(username);
+  if (!user) return null;
+  if (role !== undefined) {
+    validateRole(role);
+    if (user.role === 'admin' && role !== 'admin') assertNotLastAdmin(user);
+    user.role = role;
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+    user.passwordHash = await hashPassword(password);
+  }
+  user.sessionsValidAfter = new Date().toISOString();
+  persist();
+  return publicUser(user);
+}
+
+function assertNotLastAdmin(user) {
+  if (load().filter(u => u.role === 'admin' && u !== user).length === 0) {
+    throw new Error(`"${user.username}" is the last admin`);
+  }
+}
+
+function remove(username) {
+  const user = find(username);
+  if (!user) return null;
+  if (user.role === 'admin') assertNotLastAdmin(user);
+  users = load().filter(u => u !== user);
+  persist();
+  return publicUser(user);
+}
+
+// The user if the password matches, else null
+async function verifyPassword(username, password) {
+  const user = find(username);
+  if (!user) {
+    await hashPassword(String(password || '')); // same work either way
+    return null;
+  }
+  return (await checkPassword(user.passwordHash, password)) ? publicUser(user) : null;
+}
+
+// True if a session issued at `issuedAt` is still good for this user
+function sessionValid(username, issuedAt) {
+  const user = find(username);
+  return !!user && (!user.sessionsValidAfter || issuedAt >= new Date(user.sessionsValidAfter).getTime());
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// New API token for scripts; the plain token is only returned here
+function createToken(username, label) {
+  const user = find(username);
+  if (!user) return null;
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  user.tokens.push({ id, label: label || 'api', hash: sha256(secret), createdAt: new Date().toISOString(), lastUsedAt: null });
+  persist();
+  return { id, token: `pgt_${id}_${secret}`, username: user.username, role: user.role };
+}
+
+function revokeToken(id) {
+  for (const user of load()) {
+    const token = user.tokens.find(t => t.id === id);
+    if (token) {
+      user.tokens = user.tokens.filter(t => t !== token);
+      persist();
+      return { id, username: user.username, label: token.label };
+    }
+  }
+  return null;
+}
+
+// { user, tokenId } for a valid API token, else null
+function verifyToken(value) {
+  const m = String(value || '').match(/^pgt_([0-9a-f]{12})_([\w-]+)$/);
+  if (!m) return null;
+  for (const user of load()) {
+    const token = user.tokens.find(t => t.id === m[1]);
+    if (!token) continue;
+    const a = Buffer.from(token.hash);
+    const b = Buffer.from(sha256(m[2]));
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    // lastUsedAt is only written once a minute to keep scripts from churning the file
+    if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > 60000) {
+      token.lastUsedAt = new Date().toISOString();
+      persist();
+    }
+    return { user: publicUser(user), tokenId: token.id };
+  }
+  return null;
+}
+
+function count() {
+  return load().length;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  list,
+  get,
+  create,
+  update,
+  remove,
+  verifyPassword,
+  sessionValid,
+  createToken,
+  revokeToken,
+  verifyToken,
+  count
+};
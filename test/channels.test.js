@@ -0,0 +1,182 @@
+// Notification channels against local stand-in servers: a tiny SMTP server
+// plus one HTTP server playing Teams, Slack, a webhook receiver and an SMS
+// gateway. Nothing leaves this machine.
+//
+//   npm test
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET = 'test-secret';
+const received = { smtp: [], http: [] };
+const configFile = path.join(os.tmpdir(), `pallet-guard-notify-${process.pid}.json`);
+let smtpServer;
+let httpServer;
+let base;
+let notifier;
+
+const action = {
+  type: 'cancelled', site: 'default', siteName: 'Default', subDept: 85, poNumber: 'PO-TEST',
+  truckId: 'TRUCK-TEST', carrier: 'Test Freight', palletsIn: 3, restacksUpstacks: 5,
+  rule: 'default', reason: 'restack + upstack (5) > pallets in (3)', driverWalletCheckoutID: 'CO-TEST',
+  timestamp: new Date().toISOString()
+};
+
+// Just enough SMTP for nodemailer: no TLS, no auth
+function startSmtp() {
+  const server = net.createServer(socket => {
+    let data = null;
+    socket.write('220 localhost stand-in\r\n');
+    socket.on('data', chunk => {
+      if (data !== null) {
+        data += chunk.toString();
+        if (data.endsWith('\r\n.\r\n')) {
+          received.smtp.push(data);
+          data = null;
+          socket.write('250 queued\r\n');
+        }
+        return;
+      }
+      for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+        const cmd = line.substring(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') socket.write('250 localhost\r\n');
+        else if (cmd === 'DATA') { data = ''; socket.write('354 go ahead\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// /fail answers 500, /hang never answers, anything else 200
+function startHttp() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.http.push({ path: req.url, headers: req.headers, body });
+      if (req.url === '/hang') return;
+      if (req.url === '/fail') { res.writeHead(500); return res.end('stand-in failure'); }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function receivedAt(urlPath) {
+  return received.http.find(r => r.path === urlPath);
+}
+
+before(async () => {
+  smtpServer = await startSmtp();
+  httpServer = await startHttp();
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+  fs.writeFileSync(configFile, JSON.stringify({
+    channels: [
+      { id: 'mail', type: 'smtp', host: '127.0.0.1', port: smtpServer.address().port, from: 'guard@localhost', events: ['cancelled', 'down'] },
+      { id: 'teams', type: 'teams', url: `${base}/teams`, events: ['cancelled'] },
+      { id: 'slack', type: 'slack', url: `${base}/slack`, events: ['down'] },
+      { id: 'hook', type: 'webhook', url: `${base}/hook`, secret: SECRET },
+      { id: 'sms', type: 'sms', url: `${base}/sms`, token: 'tok', to: ['+15555550123'], events: ['over-no-wallet'] },
+      { id: 'broken', type: 'webhook', url: `${base}/fail`, events: ['down'] }
+    ]
+  }));
+  process.env.NOTIFY_CONFIG = configFile;
+  notifier = require('../src/notifier');
+});
+
+after(() => {
+  fs.unlinkSync(configFile);
+  smtpServer.close();
+  httpServer.closeAllConnections();
+  httpServer.close();
+});
+
+beforeEach(() => {
+  received.smtp.length = 0;
+  received.http.length = 0;
+});
+
+test('an action goes only to the channels enabled for its event', async () => {
+  const results = await notifier.sendAction(action, ['supervisor@localhost']);
+  assert.deepStrictEqual(results.map(r => r.channel).sort(), ['hook', 'mail', 'teams']);
+  assert.ok(results.every(r => r.ok), JSON.stringify(results));
+});
+
+test('smtp emails the routed recipients', async () => {
+  await notifier.sendAction(action, ['supervisor@localhost']);
+  assert.strictEqual(received.smtp.length, 1);
+  assert.match(received.smtp[0], /PO-TEST/);
+  assert.match(received.smtp[0], /To: supervisor@localhost/);
+});
+
+test('teams gets a MessageCard with the PO facts', async () => {
+  await notifier.sendAction(action, []);
+  const card = JSON.parse(receivedAt('/teams').body);
+  assert.strictEqual(card['@type'], 'MessageCard');
+  assert.ok(card.sections[0].facts.some(f => f.value === 'PO-TEST'));
+});
+
+test('slack gets an attachment', async () => {
+  await notifier.sendDownAlert('Test down alert', null, []);
+  const payload = JSON.parse(receivedAt('/slack').body);
+  assert.strictEqual(payload.attachments.length, 1);
+  assert.match(payload.text, /down/i);
+});
+
+test('webhook body carries the action and a signature that verifies', async () => {
+  await notifier.sendAction(action, []);
+  const hook = receivedAt('/hook');
+  assert.strictEqual(hook.headers['x-pallet-guard-event'], 'cancelled');
+  const timestamp = hook.headers['x-pallet-guard-timestamp'];
+  const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${hook.body}`).digest('hex');
+  assert.strictEqual(hook.headers['x-pallet-guard-signature'], expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  assert.strictEqual(JSON.parse(hook.body).data.poNumber, 'PO-TEST');
+});
+
+test('webhook without a secret is sent unsigned', async () => {
+  const webhook = require('../src/channels/webhook');
+  await webhook.create({ url: `${base}/unsigned` }).send(notifier.actionMessage(action));
+  assert.strictEqual(receivedAt('/unsigned').headers['x-pallet-guard-signature'], undefined);
+});
+
+test('sms gateway gets a bearer-auth text per number', async () => {
+  await notifier.sendAction({ ...action, type: 'over-no-wallet', driverWalletCheckoutID: null }, []);
+  const sms = receivedAt('/sms');
+  assert.strictEqual(sms.headers.authorization, 'Bearer tok');
+  const body = JSON.parse(sms.body);
+  assert.strictEqual(body.to, '+15555550123');
+  assert.match(body.message, /PO-TEST/);
+});
+
+test('sms text is cut to maxLength', async () => {
+  const sms = require('../src/channels/sms');
+  await sms.create({ url: `${base}/short`, to: ['+15555550123'], maxLength: 20 }).send(notifier.actionMessage(action));
+  assert.strictEqual(JSON.parse(receivedAt('/short').body).message.length, 20);
+});
+
+test('a failing channel is reported, not thrown', async () => {
+  const results = await notifier.sendDownAlert('Test down alert', null, ['ops@localhost']);
+  assert.ok(['slack', 'mail'].every(id => results.find(r => r.channel === id && r.ok)), JSON.stringify(results));
+  const broken = results.find(r => r.channel === 'broken');
+  assert.strictEqual(broken.ok, false);
+  assert.match(broken.error, /failed 500/);
+});
+
+test('a channel that never answers times out', async () => {
+  const chat = require('../src/channels/chat');
+  const started = Date.now();
+  await assert.rejects(
+    chat.create({ url: `${base}/hang`, timeoutSeconds: 1 }, 'slack').send(notifier.actionMessage(action)),
+    /timed out after 1s/
+  );
+  assert.ok(Date.now() - started < 5000);
+});